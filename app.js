@@ -1,23 +1,117 @@
 // Import required modules
 const express = require('express')
 const fs = require('fs').promises // Use promises for async file operations
+const { readFileSync } = require('fs')
+const https = require('https')
+const tls = require('tls')
 const path = require('path')
 const { v4: uuidv4 } = require('uuid')
 const morgan = require('morgan')
 const moment = require('moment')
 const bodyParser = require('body-parser') // Import body-parser for handling different content types
-const sqlite3 = require('sqlite3').verbose()
+const { createStorage } = require('./lib/storage')
+const { captureRawBody } = require('./lib/raw-body')
+const { matchResponseRule, renderTemplate, guessContentType, parseResponseRule } = require('./lib/mock-responses')
+const { verifySignature } = require('./lib/signatures')
+const { buildTargetUrl, sendRequest } = require('./lib/outbound')
+const { forwardWithRetry, passthroughHeaders } = require('./lib/proxy')
+const { parseLogFilter } = require('./lib/log-filter')
+const { createAuth } = require('./lib/auth')
+const { effectivePolicy, sweepUrl } = require('./lib/retention')
+const { EXPORT_FORMATS, exportLogs } = require('./lib/export')
+const { runImport } = require('./lib/import')
+const { pickFault, dripBody } = require('./lib/chaos')
+const { createNotifier } = require('./lib/notifications')
+const { createLiveFeed } = require('./lib/live')
+const { parseDiffSettings, diffLogs } = require('./lib/diff')
+const { SUMMARY_BUCKETS, checkContract, summarizeContracts } = require('./lib/contracts')
+const { MAX_STORE_KEY, checkStore, createScriptRunner } = require('./lib/scripts')
+const { isMultipart, parseMultipart } = require('./lib/multipart')
+const { isGuid, parseAlias } = require('./lib/aliases')
+const { parseStatsOptions } = require('./lib/stats')
+const { createGatekeeper } = require('./lib/restrictions')
+const { createApi } = require('./lib/api')
+const { SETTINGS } = require('./lib/settings')
+const { configUsage, loadConfig } = require('./lib/config')
+
+// Configuration from the config file, environment variables and command line flags (see lib/config.js)
+if (process.argv.includes('--help')) {
+	console.log(configUsage())
+	process.exit(0)
+}
+
+let config
+try {
+	config = loadConfig({ argv: process.argv.slice(2), env: process.env, rootDir: __dirname })
+} catch (err) {
+	console.error(`${err.message}\n\nRun node app.js --help to list the options`)
+	process.exit(1)
+}
 
 // Global constants
-const DATA_DIR = path.join(__dirname, 'data')
-const PORT = process.env.PORT || 4000
+const DATA_DIR = config.dataDir
+const PORT = config.port
+
+// Global retention defaults (the ones that are set), which each URL's own retention setting can override field by field
+const RETENTION_DEFAULTS = Object.fromEntries(Object.entries({
+	maxAge: config.retentionMaxAge,
+	maxCount: config.retentionMaxCount,
+	maxBytes: config.retentionMaxBytes,
+	expireAfter: config.retentionExpireAfter
+}).filter(([, value]) => value !== null))
+const SWEEP_INTERVAL = config.retentionSweepInterval
+
+// Limits on files uploaded in multipart requests: content past the size is cut off, files past the count are dropped.
+// Compressed forms may inflate to the body limit, like the bodies body-parser reads.
+const ATTACHMENT_LIMITS = { maxFileSize: config.attachmentMaxSize, maxFiles: config.attachmentMaxFiles, maxBodySize: config.bodyLimit }
+
+// Proxies whose X-Forwarded-For header is believed about where a request came from: addresses, subnets
+// (such as 10.0.0.0/8) and the names loopback, linklocal and uniquelocal. None by default.
+const TRUSTED_PROXIES = config.trustedProxies
+
+// Optional HTTPS listener on httpsPort, alongside plain HTTP on port, using the certificate and key in these files
+let HTTPS_OPTIONS = null
+if (config.httpsCert || config.httpsKey) {
+	try {
+		if (!config.httpsCert || !config.httpsKey) throw new Error('httpsCert and httpsKey (HTTPS_CERT and HTTPS_KEY) must both be set')
+		HTTPS_OPTIONS = { cert: readFileSync(config.httpsCert), key: readFileSync(config.httpsKey) }
+		tls.createSecureContext(HTTPS_OPTIONS) // Fails here on a certificate that doesn't match its key
+	} catch (err) {
+		console.error(`Invalid HTTPS configuration: ${err.message}`)
+		process.exit(1)
+	}
+}
+
+// Storage backend for URLs and their logs: sqlite (a database file per URL, the default), shared (one
+// database for every URL), json (a file per URL, as written by app-json.js) or memory
+let storage
+try {
+	storage = createStorage(config.storage, DATA_DIR)
+} catch (err) {
+	console.error(`Invalid storage configuration: ${err.message}`)
+	process.exit(1)
+}
+
+// Notifications go out by email through an SMTP relay (without authentication or TLS) and run hook scripts
+// from the hooks directory, which only the server's operator can add to
+const notifier = createNotifier({
+	storage,
+	smtp: { host: config.smtpHost, port: config.smtpPort, from: config.smtpFrom },
+	hooksDir: config.hooksDir
+})
+
+// Scripted request handlers, run in a sandbox with access to their URL's key/value store
+const scripts = createScriptRunner({ storage })
+
+// Per-URL address lists, rate limits, body size caps and allowed methods, counting what they turn away
+const gatekeeper = createGatekeeper({ storage })
 
 // Ensure data directory exists
 async function ensureDataDir() {
 	try {
 		await fs.access(DATA_DIR)
 	} catch (err) {
-		await fs.mkdir(DATA_DIR)
+		await fs.mkdir(DATA_DIR, { recursive: true })
 	}
 }
 ensureDataDir()
@@ -27,130 +121,266 @@ function generateGuid() {
 	return uuidv4().toLowerCase()
 }
 
-// Initialize SQLite database
-async function initDb(guid) {
-	const dbPath = path.join(DATA_DIR, `${guid}.db`)
-	const db = new sqlite3.Database(dbPath)
+// Resolve the first path segment of a captured request to a GUID: the segment itself when it is one, or the
+// URL it is the alias of. Resolves null for anything else, without looking for a URL by that name.
+async function resolveGuid(segment) {
+	if (isGuid(segment)) return segment.toLowerCase()
 
-	return new Promise((resolve, reject) => {
-		db.serialize(() => {
-			db.run(`CREATE TABLE IF NOT EXISTS metadata (name TEXT)`, err => {
-				if (err) return reject(err)
-			})
+	let alias
+	try {
+		alias = parseAlias(segment)
+	} catch (err) {
+		return null
+	}
+	return alias ? storage.findAlias(alias) : null
+}
 
-			db.run(
-				`CREATE TABLE IF NOT EXISTS requests (
-					logNumber INTEGER PRIMARY KEY AUTOINCREMENT,
-					timestamp TEXT,
-					method TEXT,
-					url TEXT,
-					headers TEXT,
-					body TEXT
-				)`,
-				err => {
-					if (err) return reject(err)
-					db.close()
-					resolve(dbPath)
-				}
-			)
-		})
-	})
+// Where a captured request came from and how: the client's address (taken from X-Forwarded-For when a trusted
+// proxy sent it) and port, the HTTP version, TLS protocol and cipher, and how long the body took to arrive
+function connectionInfo(req) {
+	const { socket } = req
+	const secure = Boolean(socket.encrypted)
+
+	return {
+		remoteAddress: req.ip || null,
+		remotePort: req.ip === socket.remoteAddress ? socket.remotePort : null, // A forwarded request's port is the proxy's
+		httpVersion: req.httpVersion,
+		tlsProtocol: secure ? socket.getProtocol() : null,
+		tlsCipher: secure ? socket.getCipher().name : null,
+		receiveTime: req.receiveTime === undefined ? null : req.receiveTime
+	}
+}
+
+// Record forwarding attempts made for a logged request
+async function saveForwardAttempts(guid, logNumber, attempts) {
+	await storage.addForwards(guid, attempts.map(attempt => ({
+		logNumber,
+		timestamp: attempt.timestamp,
+		target: attempt.url,
+		attempt: attempt.attempt,
+		status: attempt.status,
+		headers: attempt.headers,
+		body: attempt.body,
+		latency: attempt.latency,
+		error: attempt.error
+	})))
 }
 
-// Write incoming request details to a SQLite database
-async function logRequest(guid, requestData) {
-	const dbPath = path.join(DATA_DIR, `${guid}.db`)
+// Forward a logged request to every configured upstream and record each attempt.
+// Resolves with the final attempt for each upstream, in the configured order.
+async function forwardRequest(guid, requestData, proxy) {
+	const results = await Promise.all(proxy.upstreams.map(upstream => forwardWithRetry(requestData, upstream, proxy)))
 
 	try {
-		await fs.access(dbPath)
+		await saveForwardAttempts(guid, requestData.logNumber, [].concat(...results))
 	} catch (err) {
-		return { status: 404, error: 'Not found' }
+		console.error(`Error saving forwards of log #${requestData.logNumber} for GUID ${guid}:`, err)
 	}
 
-	await initDb(guid) // Ensure the database and tables are initialized
+	return results.map(attempts => attempts[attempts.length - 1])
+}
 
-	const db = new sqlite3.Database(dbPath)
+// Write incoming request details to storage, then tell live viewers and send any notifications it matches
+async function logRequest(guid, requestData, settings = {}) {
+	let logNumber
+	try {
+		logNumber = await storage.addLog(guid, requestData)
+	} catch (err) {
+		console.error(`Error logging request for GUID ${guid}:`, err)
+		return { status: 500, error: 'Error logging request' }
+	}
 
-	return new Promise((resolve, reject) => {
-		const stmt = db.prepare(
-			`INSERT INTO requests (timestamp, method, url, headers, body) VALUES (?, ?, ?, ?, ?)`
-		)
-		stmt.run(
-			requestData.timestamp,
-			requestData.method,
-			requestData.url,
-			JSON.stringify(requestData.headers),
-			JSON.stringify(requestData.body),
-			function(err) {
-				if (err) {
-					stmt.finalize()
-					db.close()
-					return resolve({ status: 500, error: err.message })
-				}
+	if (!logNumber) return { status: 404, error: 'Not found' }
+
+	// Add logNumber to requestData
+	requestData.logNumber = logNumber
+
+	// The log in the API shape, where attachments only list their details, with every field a stored log has.
+	// The request is yet to be answered, so its responseStatus is null (unless it was turned away).
+	const log = {
+		script: null,
+		rejected: null,
+		parseError: null,
+		responseStatus: null,
+		...requestData,
+		rawBody: requestData.rawBody ? requestData.rawBody.toString('base64') : null,
+		attachments: (requestData.attachments || []).map(({ content, ...info }) => info)
+	}
 
-				const logNumber = this.lastID
+	// Push update to live subscribers
+	live.publish({ type: 'log', guid, log })
 
-				stmt.finalize()
-				db.close()
+	// Notifications are sent in the background so they never hold up the response
+	notifier.notify(guid, log, settings.notifications)
 
-				// Add logNumber to requestData
-				requestData.logNumber = logNumber
+	return { status: 200 }
+}
 
-				// Push update to clients
-				pushUpdateToClients(guid, requestData)
+// Create a URL with an optional alias, owned by whoever made it. Resolves null if the alias is taken.
+async function createUrl(name, alias, principal) {
+	const guid = generateGuid()
+	if (alias && await storage.findAlias(alias)) return null
 
-				resolve({ status: 200 })
-			}
-		)
-	})
+	await storage.createUrl(guid, name)
+	if (alias && !(await storage.setAlias(guid, alias))) {
+		await storage.deleteUrl(guid) // Another URL took the alias in the meantime
+		return null
+	}
+
+	await auth.setOwner(guid, principal)
+	live.publish({ type: 'url-created', guid, name })
+	return { guid, name, alias }
 }
 
-// Function to push updates to clients
-function pushUpdateToClients(guid, log) {
-	if (sseClients[guid]) {
-		sseClients[guid].forEach(client => {
-			client.write(`data: ${JSON.stringify(log)}\n\n`)
-		})
+// Delete a URL and everything tied to it; resolves false if it didn't exist
+async function deleteUrl(guid) {
+	if (!(await storage.deleteUrl(guid))) return false
+
+	await auth.forgetUrl(guid)
+	notifier.forget(guid)
+	gatekeeper.forget(guid)
+	live.publish({ type: 'url-deleted', guid })
+	return true
+}
+
+// Apply retention policies to every URL, deleting URLs that have expired from inactivity
+async function sweepRetention() {
+	let guids
+	try {
+		guids = await storage.listGuids()
+	} catch (err) {
+		return console.error('Error applying retention:', err)
+	}
+
+	for (const guid of guids) {
+		try {
+			const settings = await storage.getSettings(guid)
+			if (!settings) continue
+
+			const result = await sweepUrl(storage, guid, effectivePolicy(RETENTION_DEFAULTS, settings.retention))
+
+			if (result.expired) {
+				await deleteUrl(guid)
+				console.log(`Retention: deleted inactive URL ${guid}`)
+			} else if (result.pruned) {
+				live.publish({ type: 'logs-deleted', guid, logNumbers: result.prunedLogNumbers })
+				console.log(`Retention: pruned ${result.pruned} logs from ${guid}`)
+			}
+		} catch (err) {
+			console.error(`Error applying retention to GUID ${guid}:`, err)
+		}
 	}
 }
 
+// Send a response body, slowly if chaos mode picked a slow drip for this request
+function sendBody(res, body, fault) {
+	if (fault && fault.drip) return dripBody(res, body, fault.drip)
+	res.send(body)
+}
+
 // Set up the Express app and routes
 const app = express()
 
-// Middleware for parsing different content types
-app.use(bodyParser.json()) // Handle application/json
-app.use(bodyParser.urlencoded({ extended: true })) // Handle application/x-www-form-urlencoded
-app.use(bodyParser.raw({ type: 'application/octet-stream' })) // Handle raw binary data
-app.use(bodyParser.text({ type: 'text/*' })) // Handle text data
+// Believe X-Forwarded-For (in req.ip) only from the trusted proxies
+try {
+	app.set('trust proxy', TRUSTED_PROXIES)
+} catch (err) {
+	console.error(`Invalid trusted proxy configuration: ${err.message}`)
+	process.exit(1)
+}
+
+// Turn away captured requests whose Content-Length is over their URL's body size limit before any of the body
+// is read. Bodies sent without one are checked by size once they have arrived.
+app.use(async (req, res, next) => {
+	const declaredSize = Number(req.get('Content-Length'))
+	if (!declaredSize) return next()
+
+	try {
+		const guid = await resolveGuid(req.path.split('/')[1])
+		const settings = guid ? await storage.getSettings(guid) : null
+		const restrictions = settings && settings.restrictions
+		if (!restrictions || restrictions.maxBodySize === null || declaredSize <= restrictions.maxBodySize) return next()
+
+		const rejection = gatekeeper.check(guid, restrictions, { address: req.ip, method: req.method, size: declaredSize })
+		await rejectRequest(req, res, guid, rejection, null, declaredSize)
+	} catch (err) {
+		next(err)
+	}
+})
 
-// SSE Clients Map
-const sseClients = {}
+// Keep the exact request bytes; this has to run before the body parsers consume the stream
+app.use(captureRawBody({ limit: config.bodyLimit }))
+
+// Imports read the uploaded file from the raw body, so the parsers (and their size limits) skip them
+function unlessImport(parser) {
+	return (req, res, next) => (/^\/import(\/|$)/.test(req.path) ? next() : parser(req, res, next))
+}
+
+// body-parser errors for bodies that arrived whole but can't be read, such as malformed JSON
+const PARSE_ERRORS = ['entity.parse.failed', 'encoding.unsupported', 'charset.unsupported']
+
+// Let captured requests past a parser that can't read their body, with an empty body and the reason in
+// req.parseError, so they are logged (raw body and all) and answered as usual. Other routes still get a 400.
+function keepUnparsed(parser) {
+	return (req, res, next) => parser(req, res, async err => {
+		if (!err || !PARSE_ERRORS.includes(err.type)) return next(err)
+
+		try {
+			if (!(await resolveGuid(req.path.split('/')[1]))) return next(err)
+		} catch (resolveErr) {
+			return next(err)
+		}
+		req.body = {}
+		req.parseError = err.message
+		next()
+	})
+}
+
+// Middleware for parsing the configured content types, up to the same size as the raw body
+app.use(unlessImport(keepUnparsed(bodyParser.json({ limit: config.bodyLimit, type: config.jsonTypes })))) // Handle JSON
+app.use(unlessImport(keepUnparsed(bodyParser.urlencoded({ limit: config.bodyLimit, type: config.formTypes, extended: true })))) // Handle URL-encoded forms
+app.use(unlessImport(keepUnparsed(bodyParser.raw({ limit: config.bodyLimit, type: config.rawTypes })))) // Handle raw binary data
+app.use(unlessImport(keepUnparsed(bodyParser.text({ limit: config.bodyLimit, type: config.textTypes })))) // Handle text data
 
 // Logging middleware
 morgan.token('customDate', () => moment().format('YYYY-MM-DD HH:mm:ss'))
 
+// The default request log line: timestamp, method, URL, colored status, response time and size
+function defaultLogFormat(tokens, req, res) {
+	const status = tokens.status(req, res)
+	const color = status >= 500 ? 31 // red
+		: status >= 400 ? 33 // yellow
+		: status >= 300 ? 36 // cyan
+		: status >= 200 ? 32 // green
+		: 0 // no color
+
+	const coloredStatus = `\x1b[${color}m${status}\x1b[0m`
+
+	return [
+		`[${tokens.customDate(req, res)}]`, // Custom timestamp
+		tokens.method(req, res),
+		tokens.url(req, res),
+		coloredStatus, // Colored status code
+		`${tokens['response-time'](req, res)} ms`,
+		`- ${tokens.res(req, res, 'content-length') || '0'} bytes`
+	].join(' ')
+}
+
 // Middlewares
-app.use(
-	morgan((tokens, req, res) => {
-		const status = tokens.status(req, res)
-		const color = status >= 500 ? 31 // red
-			: status >= 400 ? 33 // yellow
-			: status >= 300 ? 36 // cyan
-			: status >= 200 ? 32 // green
-			: 0 // no color
-
-		const coloredStatus = `\x1b[${color}m${status}\x1b[0m`
-
-		return [
-			`[${tokens.customDate(req, res)}]`, // Custom timestamp
-			tokens.method(req, res),
-			tokens.url(req, res),
-			coloredStatus, // Colored status code
-			`${tokens['response-time'](req, res)} ms`,
-			`- ${tokens.res(req, res, 'content-length') || '0'} bytes`
-		].join(' ')
-	})
-)
+if (config.logFormat !== 'none') app.use(morgan(config.logFormat === 'default' ? defaultLogFormat : config.logFormat))
+
+// Identify the signed-in user or API token, if any; the capture route below stays public
+const auth = createAuth(DATA_DIR)
+const live = createLiveFeed({ storage, auth })
+app.use(auth.authenticate)
+app.use(auth.router)
+
+// The versioned REST API, which answers errors (including unreadable bodies) as JSON
+const api = createApi({ storage, auth, live, settings: SETTINGS, createUrl, deleteUrl })
+app.use('/api/v1', api.router, api.handleError)
+
+// Send browsers without a session to the login page before serving the management pages
+app.get(['/', '/index.html', '/view.html'], auth.requirePageLogin)
 
 // Serve static HTML files
 app.use(express.static(path.join(__dirname, 'public')))
@@ -158,269 +388,896 @@ app.use(express.static(path.join(__dirname, 'public')))
 // Ignore favicon.ico requests
 app.get('/favicon.ico', (req, res) => res.sendStatus(204))
 
+// Configuration the pages need, as a script setting window.APP_CONFIG before their own scripts run
+app.get('/app-config.js', (req, res) => {
+	res.type('application/javascript').send(`window.APP_CONFIG = ${JSON.stringify({ publicUrl: config.publicUrl })}\n`)
+})
+
 // Serve view.html
-app.get('/view', (req, res) => {
+app.get('/view', auth.requirePageLogin, (req, res) => {
 	res.sendFile(path.join(__dirname, 'public', 'view.html'))
 })
 
-// Create a new GUID with an optional name
-app.post('/create-url', async (req, res) => {
-	const guid = generateGuid()
+// Create a new GUID with an optional name and alias
+app.post('/create-url', auth.requireUser('write'), async (req, res) => {
 	const { name = 'Untitled' } = req.body
-	const dbPath = await initDb(guid)
-
-	const db = new sqlite3.Database(dbPath)
-	return new Promise((resolve, reject) => {
-		db.run(`INSERT INTO metadata (name) VALUES (?)`, name, err => {
-			if (err) return reject(err)
-			res.json({ guid, name })
-			db.close()
-			resolve()
-		})
-	})
+
+	let alias
+	try {
+		alias = parseAlias(req.body.alias)
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
+
+	try {
+		const created = await createUrl(name, alias, req.auth)
+		if (!created) return res.status(409).send(`The alias "${alias}" is taken`)
+		res.json(created)
+	} catch (err) {
+		console.error('Error creating URL:', err)
+		res.status(500).send('Error creating URL')
+	}
 })
 
 // Delete data associated with a GUID
-app.delete('/delete-url/:guid', async (req, res) => {
+app.delete('/delete-url/:guid', auth.requireDeleteAccess(), async (req, res) => {
 	const { guid } = req.params
-	const dbPath = path.join(DATA_DIR, `${guid}.db`)
+	res.sendStatus(await deleteUrl(guid) ? 200 : 404)
+})
+
+// Get all GUIDs with their creation and modification times
+app.get('/get-urls', auth.requireUser(), async (req, res) => {
 	try {
-		await fs.access(dbPath)
-		await fs.unlink(dbPath)
-		delete sseClients[guid] // Clear SSE clients
-		res.sendStatus(200)
+		const readable = req.auth ? await auth.readableGuids(req.auth) : null // Null means every URL
+		const urls = await storage.listUrls()
+		res.json(readable ? urls.filter(url => readable.has(url.guid)) : urls)
 	} catch (err) {
-		res.sendStatus(404)
+		res.status(500).send('Error retrieving URLs')
 	}
 })
 
-// Get all GUIDs with their creation and modification times
-app.get('/get-urls', async (req, res) => {
-	try {
-		const files = await fs.readdir(DATA_DIR)
-		const urls = await Promise.all(files.map(async file => {
-			if (!file.endsWith('.db')) return null
-
-			const dbPath = path.join(DATA_DIR, file)
-			const db = new sqlite3.Database(dbPath)
-
-			return new Promise((resolve, reject) => {
-				db.serialize(() => {
-					db.get(`SELECT name FROM metadata`, (err, row) => {
-						if (err) return reject(err)
-
-						const name = row ? row.name : 'Untitled'
-						const guid = path.basename(file, '.db')
-
-						db.get(`SELECT MIN(timestamp) as firstRequestTime, MAX(timestamp) as lastRequestTime, COUNT(*) as requestCount FROM requests`, (err, row) => {
-							if (err) return reject(err)
-
-							const { firstRequestTime, lastRequestTime, requestCount } = row
-							fs.stat(dbPath).then(stats => {
-								db.close()
-								resolve({
-									guid,
-									name,
-									created: stats.birthtime,
-									modified: stats.mtime,
-									requestCount,
-									firstRequestTime,
-									lastRequestTime
-								})
-							})
-						})
-					})
-				})
-			})
-		}))
+// Get a page of logs for a given GUID, newest first, optionally filtered.
+// Pass the returned nextCursor as ?cursor= to get the following page.
+app.get('/logs/:guid', auth.requireAccess('read'), async (req, res) => {
+	const { guid } = req.params
 
-		res.json(urls.filter(Boolean))
+	let filter
+	try {
+		filter = parseLogFilter(req.query)
 	} catch (err) {
-		res.status(500).send('Error retrieving URLs')
+		return res.status(400).send(err.message)
+	}
+
+	try {
+		const url = await storage.getUrl(guid)
+		if (!url) return res.sendStatus(404)
+
+		// Fetch one extra log to tell whether another page follows
+		const logs = await storage.listLogs(guid, filter, { limit: filter.limit + 1 })
+		const requests = logs.slice(0, filter.limit)
+		const nextCursor = logs.length > filter.limit ? requests[requests.length - 1].logNumber : null
+
+		res.json({ name: url.name, alias: url.alias, requests, nextCursor })
+	} catch (err) {
+		console.error(`Error reading logs for GUID ${guid}:`, err)
+		res.status(500).send('Error reading logs')
 	}
 })
 
-// Get all logs and details for a given GUID
-app.get('/logs/:guid', async (req, res) => {
+// Export logs as HAR, JSON Lines, CSV or a cURL script, oldest first. Accepts the same filters as
+// /logs/:guid, or specific log numbers (comma-separated in ?logs=, or a logs array in a POST body).
+async function exportLogsRoute(req, res) {
 	const { guid } = req.params
-	const dbPath = path.join(DATA_DIR, `${guid}.db`)
+	const input = { ...req.query, ...req.body }
+	const format = input.format || 'jsonl'
+	if (!EXPORT_FORMATS[format]) {
+		return res.status(400).send(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+	}
+
+	let filter
 	try {
-		await fs.access(dbPath)
+		filter = parseLogFilter(input)
 	} catch (err) {
-		return res.sendStatus(404)
+		return res.status(400).send(err.message)
 	}
-	await initDb(guid) // Ensure the database and tables are initialized
 
-	const db = new sqlite3.Database(dbPath)
+	const logNumbers = typeof input.logs === 'string' ? input.logs.split(',').filter(Boolean) : input.logs
+	if (logNumbers && (!Array.isArray(logNumbers) || !logNumbers.length)) return res.status(400).send('logs must be a list of log numbers')
 
-	return new Promise((resolve, reject) => {
-		db.serialize(() => {
-			db.get(`SELECT name FROM metadata`, (err, row) => {
-				if (err) return reject(err)
+	try {
+		const url = await storage.getUrl(guid)
+		if (!url) return res.sendStatus(404)
+
+		const logs = await storage.listLogs(guid, filter, { oldestFirst: true, logNumbers })
+		const exported = { guid, name: url.name }
+		if (format === 'bundle') {
+			exported.settings = await storage.getSettings(guid)
+			exported.responses = await storage.listResponses(guid)
+		}
 
-				const name = row ? row.name : 'Untitled'
+		const { contentType, extension } = EXPORT_FORMATS[format]
+		res.set('Content-Type', contentType)
+		res.set('Content-Disposition', `attachment; filename="${guid}.${extension}"`)
+		res.send(exportLogs(format, logs, config.publicUrl || `${req.protocol}://${req.get('host')}`, exported))
+	} catch (err) {
+		console.error(`Error exporting logs for GUID ${guid}:`, err)
+		res.status(500).send('Error exporting logs')
+	}
+}
 
-				db.all(`SELECT * FROM requests ORDER BY logNumber DESC`, (err, rows) => {
-					if (err) return reject(err)
+// Bundles carry the URL's settings, secrets included (the signature secret, script and notification targets),
+// so they take the write access the settings routes do
+const requireWriteAccess = auth.requireAccess('write')
+function requireBundleAccess(req, res, next) {
+	const { format } = { ...req.query, ...req.body }
+	if (format === 'bundle') return requireWriteAccess(req, res, next)
+	next()
+}
 
-					const requests = rows.map(row => ({
-						logNumber: row.logNumber,
-						timestamp: row.timestamp,
-						method: row.method,
-						url: row.url,
-						headers: JSON.parse(row.headers),
-						body: JSON.parse(row.body)
-					}))
+app.get('/logs/:guid/export', auth.requireAccess('read'), requireBundleAccess, exportLogsRoute)
+app.post('/logs/:guid/export', auth.requireAccess('read'), requireBundleAccess, exportLogsRoute)
 
-					res.json({ name, requests })
-					db.close()
-					resolve()
-				})
-			})
-		})
-	})
+// Download the exact body bytes of a log, with its original content type and encoding
+app.get('/logs/:guid/:logNumber/raw', auth.requireAccess('read'), async (req, res) => {
+	const { guid, logNumber } = req.params
+
+	let log
+	try {
+		log = await storage.getLog(guid, logNumber)
+	} catch (err) {
+		console.error(`Error reading log #${logNumber} for GUID ${guid}:`, err)
+		return res.status(500).send('Error reading log')
+	}
+
+	if (!log) return res.sendStatus(404)
+
+	res.set('Content-Type', log.contentType || 'application/octet-stream')
+	if (log.contentEncoding) res.set('Content-Encoding', log.contentEncoding)
+	res.set('Content-Disposition', `attachment; filename="${guid}-${logNumber}.bin"`)
+	res.send(log.rawBody ? Buffer.from(log.rawBody, 'base64') : Buffer.alloc(0))
 })
 
-// Delete a specific log by log number
-app.delete('/logs/:guid/:logNumber', async (req, res) => {
+// Download a file uploaded with a multipart request, by its number within the log
+app.get('/logs/:guid/:logNumber/attachments/:attachment', auth.requireAccess('read'), async (req, res) => {
+	const { guid, logNumber, attachment } = req.params
+
+	let file
+	try {
+		file = await storage.getAttachment(guid, logNumber, attachment)
+	} catch (err) {
+		console.error(`Error reading attachment ${attachment} of log #${logNumber} for GUID ${guid}:`, err)
+		return res.status(500).send('Error reading attachment')
+	}
+
+	if (!file) return res.sendStatus(404)
+
+	// Always download rather than display, so uploaded HTML can't run as one of our pages
+	res.attachment(file.filename || `${guid}-${logNumber}-${attachment}.bin`)
+	res.set('Content-Type', file.contentType || 'application/octet-stream')
+	res.set('X-Content-Type-Options', 'nosniff')
+	res.send(file.content)
+})
+
+// Re-send a captured request to a target URL and record the downstream response
+app.post('/logs/:guid/:logNumber/replay', auth.requireAccess('write'), async (req, res) => {
 	const { guid, logNumber } = req.params
-	const dbPath = path.join(DATA_DIR, `${guid}.db`)
+	const { target } = req.body
+	if (!target) return res.status(400).send('A target URL is required')
+
 	try {
-		await fs.access(dbPath)
+		buildTargetUrl(target, '')
 	} catch (err) {
-		return res.sendStatus(404)
+		return res.status(400).send(err.code === 'ERR_INVALID_URL' ? 'Invalid target URL' : err.message)
 	}
-	await initDb(guid) // Ensure the database and tables are initialized
 
-	const db = new sqlite3.Database(dbPath)
+	let log
+	try {
+		log = await storage.getLog(guid, logNumber)
+	} catch (err) {
+		console.error(`Error reading log #${logNumber} for GUID ${guid}:`, err)
+		return res.status(500).send('Error reading log')
+	}
 
-	return new Promise((resolve, reject) => {
-		db.run(`DELETE FROM requests WHERE logNumber = ?`, logNumber, err => {
-			if (err) {
-				console.error(`Error deleting log #${logNumber} for GUID ${guid}:`, err)
-				return reject(err)
-			}
+	if (!log) return res.sendStatus(404)
+
+	const timestamp = new Date().toISOString()
+	const result = await sendRequest({ ...log, rawBody: log.rawBody && Buffer.from(log.rawBody, 'base64') }, target)
+	const replay = {
+		logNumber: Number(logNumber),
+		timestamp,
+		target: result.url,
+		status: result.status,
+		headers: result.headers,
+		body: result.body,
+		latency: result.latency,
+		error: result.error
+	}
 
-			res.sendStatus(200)
-			db.close()
-			resolve()
-		})
-	})
+	try {
+		const id = await storage.addReplay(guid, replay)
+		res.status(201).json({ id, ...replay })
+	} catch (err) {
+		console.error(`Error saving replay of log #${logNumber} for GUID ${guid}:`, err)
+		res.status(500).send('Error saving replay')
+	}
 })
 
-// Delete multiple or all logs
-app.delete('/logs/:guid', async (req, res) => {
+// Get the forwarding attempts made for a log in proxy mode
+app.get('/logs/:guid/:logNumber/forwards', auth.requireAccess('read'), async (req, res) => {
+	const { guid, logNumber } = req.params
+
+	try {
+		const forwards = await storage.listForwards(guid, logNumber)
+		if (!forwards) return res.sendStatus(404)
+		res.json(forwards)
+	} catch (err) {
+		console.error(`Error reading forwards of log #${logNumber} for GUID ${guid}:`, err)
+		res.status(500).send('Error reading forwards')
+	}
+})
+
+// Get the notification history of a URL, newest first, optionally for one log (?logNumber=) and at most ?limit= entries
+app.get('/logs/:guid/notifications', auth.requireAccess('read'), async (req, res) => {
 	const { guid } = req.params
-	const { logs } = req.body
-	const dbPath = path.join(DATA_DIR, `${guid}.db`)
+	const logNumber = req.query.logNumber ? Number(req.query.logNumber) : null
+	const limit = req.query.limit ? Number(req.query.limit) : 100
+
+	if (logNumber !== null && (!Number.isInteger(logNumber) || logNumber < 1)) return res.status(400).send('logNumber must be a log number')
+	if (!Number.isInteger(limit) || limit < 1 || limit > 1000) return res.status(400).send('limit must be an integer between 1 and 1000')
+
 	try {
-		await fs.access(dbPath)
+		const notifications = await storage.listNotifications(guid, { logNumber, limit })
+		if (!notifications) return res.sendStatus(404)
+		res.json(notifications)
 	} catch (err) {
-		return res.sendStatus(404)
+		console.error(`Error reading notifications for GUID ${guid}:`, err)
+		res.status(500).send('Error reading notifications')
 	}
-	await initDb(guid) // Ensure the database and tables are initialized
+})
 
-	const db = new sqlite3.Database(dbPath)
+// Report how well a URL's requests conform to its contracts: overall and per ?bucket= (hour or day, the default)
+// pass rates and the most common errors, optionally between ?from= and ?to=
+app.get('/logs/:guid/conformance', auth.requireAccess('read'), async (req, res) => {
+	const { guid } = req.params
+	const bucket = req.query.bucket || 'day'
+	if (!SUMMARY_BUCKETS[bucket]) return res.status(400).send(`bucket must be one of: ${Object.keys(SUMMARY_BUCKETS).join(', ')}`)
 
-	return new Promise((resolve, reject) => {
-		if (!logs) {
-			// Delete all logs
-			db.run(`DELETE FROM requests`, err => {
-				if (err) {
-					console.error(`Error deleting logs for GUID ${guid}:`, err)
-					return reject(err)
-				}
+	let filter
+	try {
+		filter = parseLogFilter({ from: req.query.from, to: req.query.to })
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
 
-				res.sendStatus(200)
-				db.close()
-				resolve()
-			})
-		} else {
-			// Delete specified logs
-			const placeholders = logs.map(() => '?').join(',')
-			db.run(`DELETE FROM requests WHERE logNumber IN (${placeholders})`, logs, err => {
-				if (err) {
-					console.error(`Error deleting logs for GUID ${guid}:`, err)
-					return reject(err)
-				}
-
-				res.sendStatus(200)
-				db.close()
-				resolve()
-			})
-		}
-	})
+	try {
+		const results = await storage.listContractResults(guid, filter)
+		if (!results) return res.sendStatus(404)
+		res.json(summarizeContracts(results, bucket))
+	} catch (err) {
+		console.error(`Error summarizing contracts for GUID ${guid}:`, err)
+		res.status(500).send('Error summarizing contracts')
+	}
+})
+
+// Get traffic stats for a URL over a time range: requests per minute, hour or day, and breakdowns by method,
+// sub path, source IP, user agent, payload size and the response status returned
+app.get('/logs/:guid/stats', auth.requireAccess('read'), async (req, res) => {
+	const { guid } = req.params
+
+	let options
+	try {
+		options = parseStatsOptions(req.query)
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
+
+	try {
+		const stats = await storage.getStats(guid, options)
+		if (!stats) return res.sendStatus(404)
+		res.json(stats)
+	} catch (err) {
+		console.error(`Error computing stats for GUID ${guid}:`, err)
+		res.status(500).send('Error computing stats')
+	}
+})
+
+// Get the replay history of a log, newest first
+app.get('/logs/:guid/:logNumber/replays', auth.requireAccess('read'), async (req, res) => {
+	const { guid, logNumber } = req.params
+
+	try {
+		const replays = await storage.listReplays(guid, logNumber)
+		if (!replays) return res.sendStatus(404)
+		res.json(replays)
+	} catch (err) {
+		console.error(`Error reading replays of log #${logNumber} for GUID ${guid}:`, err)
+		res.status(500).send('Error reading replays')
+	}
+})
+
+// Compare a log with another one, from the same URL (?with=<logNumber>) or another (?with=<guid>:<logNumber>).
+// Fields in either URL's diff ignore list, or in ?ignore= (comma-separated), are left out of the changes.
+app.get('/logs/:guid/:logNumber/diff', auth.requireAccess('read'), async (req, res) => {
+	const { guid, logNumber } = req.params
+	const match = /^(?:([\w-]+):)?(\d+)$/.exec(String(req.query.with || '').trim())
+	if (!match) return res.status(400).send('with must be a log number, or <guid>:<logNumber> for a log of another URL')
+
+	const otherGuid = (match[1] || guid).toLowerCase()
+	const otherLogNumber = Number(match[2])
+
+	let extra
+	try {
+		extra = parseDiffSettings({ ignore: req.query.ignore })
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
+
+	try {
+		// The other URL needs read access too, and stays hidden without it
+		const readable = req.auth ? await auth.readableGuids(req.auth) : null
+		if (readable && !readable.has(otherGuid)) return res.sendStatus(404)
+
+		const left = await storage.getLog(guid, logNumber)
+		const right = await storage.getLog(otherGuid, otherLogNumber)
+		if (!left || !right) return res.sendStatus(404)
+
+		const ignore = [...new Set([
+			...((await storage.getSettings(guid)).diff || { ignore: [] }).ignore,
+			...((await storage.getSettings(otherGuid)).diff || { ignore: [] }).ignore,
+			...(extra ? extra.ignore : [])
+		])]
+		const describe = (logGuid, log) => ({ guid: logGuid, logNumber: log.logNumber, method: log.method, url: log.url, timestamp: log.timestamp })
+
+		res.json({ left: describe(guid, left), right: describe(otherGuid, right), ignore, ...diffLogs(left, right, ignore) })
+	} catch (err) {
+		console.error(`Error comparing log #${logNumber} for GUID ${guid}:`, err)
+		res.status(500).send('Error comparing logs')
+	}
+})
+
+// Delete a specific log by log number
+app.delete('/logs/:guid/:logNumber', auth.requireAccess('write'), async (req, res) => {
+	const { guid, logNumber } = req.params
+
+	try {
+		if (!(await storage.deleteLogs(guid, [logNumber]))) return res.sendStatus(404)
+		live.publish({ type: 'logs-deleted', guid, logNumbers: [Number(logNumber)] })
+		res.sendStatus(200)
+	} catch (err) {
+		console.error(`Error deleting log #${logNumber} for GUID ${guid}:`, err)
+		res.status(500).send('Error deleting log')
+	}
 })
 
-// Serve logs as SSE for new logs
-app.get('/logs-stream/:guid', (req, res) => {
+// Delete multiple or all logs
+app.delete('/logs/:guid', auth.requireAccess('write'), async (req, res) => {
 	const { guid } = req.params
+	const { logs } = req.body
+	if (logs && !Array.isArray(logs)) return res.status(400).send('logs must be a list of log numbers')
+
+	try {
+		if (!(await storage.deleteLogs(guid, logs || null))) return res.sendStatus(404)
+		live.publish({ type: 'logs-deleted', guid, logNumbers: logs ? logs.map(Number) : null })
+		res.sendStatus(200)
+	} catch (err) {
+		console.error(`Error deleting logs for GUID ${guid}:`, err)
+		res.status(500).send('Error deleting logs')
+	}
+})
+
+// Serve new logs as SSE, accepting the same filter parameters as /logs/:guid. Each log is sent with its
+// logNumber as the event id, so a reconnecting browser (sending Last-Event-ID) or a client passing
+// ?since=<logNumber> first gets the logs it missed. Deletes and renames arrive as named events
+// (logs-deleted, url-renamed, url-aliased, url-deleted, resync) carrying the live feed event.
+app.get('/logs-stream/:guid', auth.requireAccess('read'), (req, res) => {
+	const { guid } = req.params
+
+	let filter
+	try {
+		filter = parseLogFilter({ ...req.query, since: req.get('Last-Event-ID') || req.query.since })
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
+
 	res.setHeader('Content-Type', 'text/event-stream')
 	res.setHeader('Cache-Control', 'no-cache')
 	res.setHeader('Connection', 'keep-alive')
-
-	if (!sseClients[guid]) sseClients[guid] = []
-	sseClients[guid].push(res)
+	res.flushHeaders()
+
+	const unsubscribe = live.subscribe({
+		guids: new Set([guid]),
+		principal: req.auth,
+		filter,
+		send: event => {
+			if (event.type === 'log') res.write(`id: ${event.log.logNumber}\ndata: ${JSON.stringify(event.log)}\n\n`)
+			else res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+		}
+	}, filter.since === undefined ? {} : { [guid]: filter.since })
 
 	// Send a comment to keep the connection alive every 15 seconds
 	const keepAlive = setInterval(() => {
 		res.write(': keep-alive\n\n')
 	}, 15000)
 
-	// Remove the response object and clear interval when the client closes the connection
+	// Unsubscribe and clear interval when the client closes the connection
 	req.on('close', () => {
 		clearInterval(keepAlive)
-		sseClients[guid] = sseClients[guid].filter(client => client !== res)
+		unsubscribe()
 	})
 })
 
 // Rename a URL
-app.post('/rename-url/:guid', async (req, res) => {
+app.post('/rename-url/:guid', auth.requireAccess('write'), async (req, res) => {
 	const { guid } = req.params
 	const { name } = req.body
-	const dbPath = path.join(DATA_DIR, `${guid}.db`)
+
 	try {
-		await fs.access(dbPath)
+		if (!(await storage.renameUrl(guid, name))) return res.sendStatus(404)
+		live.publish({ type: 'url-renamed', guid, name })
+		res.sendStatus(200)
 	} catch (err) {
-		return res.sendStatus(404)
+		console.error(`Error renaming URL ${guid}:`, err)
+		res.status(500).send('Error renaming URL')
 	}
-	await initDb(guid) // Ensure the database and tables are initialized
+})
 
-	const db = new sqlite3.Database(dbPath)
+// Set or remove a URL's alias, which requests can use in place of its GUID
+app.post('/alias-url/:guid', auth.requireAccess('write'), async (req, res) => {
+	const { guid } = req.params
 
-	return new Promise((resolve, reject) => {
-		db.run(`UPDATE metadata SET name = ?`, name, err => {
-			if (err) {
-				console.error(`Error renaming URL ${guid}:`, err)
-				return reject(err)
-			}
+	let alias
+	try {
+		alias = parseAlias(req.body.alias)
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
+
+	try {
+		const result = await storage.setAlias(guid, alias)
+		if (result === null) return res.sendStatus(404)
+		if (!result) return res.status(409).send(`The alias "${alias}" is taken`)
+
+		live.publish({ type: 'url-aliased', guid, alias })
+		res.json({ guid, alias })
+	} catch (err) {
+		console.error(`Error setting the alias of URL ${guid}:`, err)
+		res.status(500).send('Error setting alias')
+	}
+})
 
-			res.sendStatus(200)
-			db.close()
-			resolve()
+// Import an uploaded file (legacy JSON, JSON Lines, HAR or a wb-hook bundle) into a new URL, or into
+// an existing one with /import/:guid. Options go in the query string: format, name, renumber and dryRun.
+// Responds with the import summary; nothing is written if it lists any errors.
+async function importRoute(req, res) {
+	const { guid } = req.params
+
+	let text
+	try {
+		text = (await req.rawBody).toString('utf8')
+	} catch (err) {
+		return res.status(err.status || 400).send(err.message)
+	}
+
+	const flag = value => value !== undefined && value !== 'false' && value !== '0'
+
+	let summary
+	try {
+		summary = await runImport(storage, text, {
+			format: req.query.format,
+			guid,
+			newGuid: !guid,
+			mustExist: Boolean(guid),
+			generateGuid,
+			name: req.query.name,
+			preserveLogNumbers: !flag(req.query.renumber),
+			dryRun: flag(req.query.dryRun)
 		})
-	})
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
+
+	if (!summary.dryRun && !summary.errors.length) {
+		if (summary.created) {
+			await auth.setOwner(summary.guid, req.auth)
+			const url = await storage.getUrl(summary.guid)
+			live.publish({ type: 'url-created', guid: summary.guid, name: url.name })
+		} else {
+			live.publish({ type: 'resync', guid: summary.guid }) // Too many logs at once to push one by one
+		}
+	}
+
+	res.status(summary.errors.length ? 422 : 200).json(summary)
+}
+
+app.post('/import', auth.requireUser('write'), importRoute)
+app.post('/import/:guid', auth.requireAccess('write'), importRoute)
+
+// Get all settings for a GUID
+app.get('/settings/:guid', auth.requireAccess('write'), async (req, res) => {
+	const { guid } = req.params
+
+	try {
+		const settings = await storage.getSettings(guid)
+		if (!settings) return res.sendStatus(404)
+		res.json(settings)
+	} catch (err) {
+		console.error(`Error reading settings for GUID ${guid}:`, err)
+		res.status(500).send('Error reading settings')
+	}
 })
 
-// Log all requests under their respective GUIDs, including query strings and subdirectories
-app.all('/:guid/:subPath*?', async (req, res) => {
+// Replace a single setting for a GUID; an empty value clears it
+app.put('/settings/:guid/:key', auth.requireAccess('write'), async (req, res) => {
+	const { guid, key } = req.params
+	if (!SETTINGS.hasOwnProperty(key)) return res.status(404).send(`Unknown setting: ${key}`)
+
+	let value
+	try {
+		value = SETTINGS[key](req.body)
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
+
+	try {
+		if (!(await storage.setSetting(guid, key, value))) return res.sendStatus(404)
+		res.json(value)
+	} catch (err) {
+		console.error(`Error saving setting ${key} for GUID ${guid}:`, err)
+		res.status(500).send('Error saving setting')
+	}
+})
+
+// List mock response rules for a GUID
+app.get('/responses/:guid', auth.requireAccess('read'), async (req, res) => {
 	const { guid } = req.params
-	const subPath = req.params.subPath || ''
+
+	try {
+		const rules = await storage.listResponses(guid)
+		if (!rules) return res.sendStatus(404)
+		res.json(rules)
+	} catch (err) {
+		console.error(`Error reading responses for GUID ${guid}:`, err)
+		res.status(500).send('Error reading responses')
+	}
+})
+
+// Add a mock response rule
+app.post('/responses/:guid', auth.requireAccess('write'), async (req, res) => {
+	const { guid } = req.params
+
+	let rule
+	try {
+		rule = parseResponseRule(req.body)
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
+
+	try {
+		const added = await storage.addResponse(guid, rule)
+		if (!added) return res.sendStatus(404)
+		res.status(201).json(added)
+	} catch (err) {
+		console.error(`Error adding response for GUID ${guid}:`, err)
+		res.status(500).send('Error adding response')
+	}
+})
+
+// Update a mock response rule
+app.put('/responses/:guid/:id', auth.requireAccess('write'), async (req, res) => {
+	const { guid, id } = req.params
+
+	let rule
+	try {
+		rule = parseResponseRule(req.body)
+	} catch (err) {
+		return res.status(400).send(err.message)
+	}
+
+	try {
+		const updated = await storage.updateResponse(guid, id, rule)
+		if (!updated) return res.sendStatus(404)
+		res.json(updated)
+	} catch (err) {
+		console.error(`Error updating response #${id} for GUID ${guid}:`, err)
+		res.status(500).send('Error updating response')
+	}
+})
+
+// Delete a mock response rule
+app.delete('/responses/:guid/:id', auth.requireAccess('write'), async (req, res) => {
+	const { guid, id } = req.params
+
+	try {
+		res.sendStatus(await storage.deleteResponse(guid, id) ? 200 : 404)
+	} catch (err) {
+		console.error(`Error deleting response #${id} for GUID ${guid}:`, err)
+		res.status(500).send('Error deleting response')
+	}
+})
+
+// Get the key/value store that a GUID's script reads and writes
+app.get('/store/:guid', auth.requireAccess('read'), async (req, res) => {
+	const { guid } = req.params
+
+	try {
+		const store = await storage.getStore(guid)
+		if (!store) return res.sendStatus(404)
+		res.json(store)
+	} catch (err) {
+		console.error(`Error reading store for GUID ${guid}:`, err)
+		res.status(500).send('Error reading store')
+	}
+})
+
+// Set a key in a GUID's store to the JSON value sent as { value }
+app.put('/store/:guid/:key', auth.requireAccess('write'), async (req, res) => {
+	const { guid, key } = req.params
+	const value = req.body ? req.body.value : undefined
+	if (value === undefined || value === null) return res.status(400).send('Send the value as { "value": ... }')
+	if (key.length > MAX_STORE_KEY) return res.status(400).send(`Store keys must be at most ${MAX_STORE_KEY} characters`)
+
+	try {
+		const store = await storage.getStore(guid)
+		if (!store) return res.sendStatus(404)
+
+		try {
+			checkStore({ ...store, [key]: value })
+		} catch (err) {
+			return res.status(400).send(err.message)
+		}
+
+		await storage.updateStore(guid, { [key]: value })
+		res.json({ [key]: value })
+	} catch (err) {
+		console.error(`Error saving store key ${key} for GUID ${guid}:`, err)
+		res.status(500).send('Error saving store')
+	}
+})
+
+// Delete a key from a GUID's store
+app.delete('/store/:guid/:key', auth.requireAccess('write'), async (req, res) => {
+	const { guid, key } = req.params
+
+	try {
+		res.sendStatus(await storage.updateStore(guid, { [key]: null }) ? 200 : 404)
+	} catch (err) {
+		console.error(`Error deleting store key ${key} for GUID ${guid}:`, err)
+		res.status(500).send('Error deleting store key')
+	}
+})
+
+// The URL a captured request is logged with. Requests that came in by alias are logged under the GUID, so their
+// logs read the same either way.
+function capturedUrl(req, guid) {
+	return `/${guid}${req.originalUrl.replace(/^\/[^/?]+/, '')}`
+}
+
+// Answer a request the URL's restrictions turned away. Rejections are counted, and a sample of them is logged
+// (marked as rejected) without running the script, proxy or notifications. Bodies over the size limit aren't
+// kept, only their size, so the limit also bounds what is written to disk.
+async function rejectRequest(req, res, guid, rejection, rawBody, bodySize) {
+	if (rejection.sampled) {
+		const keepBody = rejection.reason !== 'size' && rawBody !== null
+		await logRequest(guid, {
+			url: capturedUrl(req, guid),
+			method: req.method,
+			headers: req.headers,
+			body: keepBody ? req.body : null,
+			rawBody: keepBody ? rawBody : null,
+			bodySize,
+			contentType: req.get('Content-Type') || null,
+			contentEncoding: req.get('Content-Encoding') || null,
+			...connectionInfo(req),
+			rejected: { reason: rejection.reason, message: rejection.message },
+			responseStatus: rejection.status,
+			timestamp: new Date().toISOString()
+		})
+	}
+
+	if (rejection.retryAfter) res.set('Retry-After', String(rejection.retryAfter))
+	res.status(rejection.status).type('text/plain').send(rejection.message)
+}
+
+// Log a request under its GUID (or alias), including the query string and subdirectories, and answer it
+async function captureRequest(req, res) {
+	const subPath = (req.params.subPath || '') + (req.params[0] || '')
+
+	let guid
+	try {
+		guid = await resolveGuid(req.params.guid)
+	} catch (err) {
+		console.error(`Error resolving alias ${req.params.guid}:`, err)
+		return res.status(500).send('Error logging request')
+	}
+	if (!guid) return res.status(404).send('Not found')
+
+	const url = capturedUrl(req, guid)
+
+	let rawBody
+	try {
+		rawBody = await req.rawBody
+	} catch (err) {
+		return res.status(err.status || 400).send(err.message)
+	}
+
+	let settings
+	try {
+		settings = await storage.getSettings(guid) || {}
+	} catch (err) {
+		console.error(`Error reading settings for GUID ${guid}:`, err)
+		settings = {}
+	}
+
+	// Turn away requests the URL's restrictions don't let through
+	const rejection = gatekeeper.check(guid, settings.restrictions, { address: req.ip, method: req.method, size: rawBody.length })
+	if (rejection) return rejectRequest(req, res, guid, rejection, rawBody, rawBody.length)
+
+	// body-parser doesn't read multipart forms, so parse their fields and keep uploaded files as attachments
+	let attachments = []
+	let parseError = req.parseError || null
+	if (isMultipart(req.get('Content-Type'))) {
+		try {
+			const form = await parseMultipart(rawBody, req.headers, ATTACHMENT_LIMITS)
+			req.body = form.body
+			attachments = form.attachments
+			parseError = form.error
+		} catch (err) {
+			req.body = {}
+			parseError = err.message
+		}
+	}
+
 	const requestData = {
-		url: req.originalUrl, // Includes query string in the logged URL
+		url, // Includes query string in the logged URL
 		method: req.method,
 		headers: req.headers,
 		body: req.body, // This will contain the parsed body, regardless of content type
+		rawBody, // The body exactly as received, before any decoding
+		bodySize: rawBody.length,
+		contentType: req.get('Content-Type') || null,
+		contentEncoding: req.get('Content-Encoding') || null,
+		signature: verifySignature(settings.signature, req.headers, rawBody), // Null when no profile is set
+		fault: pickFault(settings.chaos, req.method, subPath), // Null unless chaos mode injects something
+		contract: checkContract(settings.contracts, req.method, subPath, req.headers, req.body), // Null when no contract applies
+		attachments, // Files uploaded in a multipart body, with their content
+		parseError, // Why the body couldn't be parsed, if it couldn't; the raw body is kept either way
+		...connectionInfo(req), // Client address and port, HTTP version, TLS details and body receive time
 		timestamp: new Date().toISOString()
 	}
 
-	const result = await logRequest(guid, requestData)
+	// Run the URL's script, if it has one; its console output and errors are saved with the log
+	let scripted = null
+	if (settings.script) {
+		try {
+			scripted = await scripts.run(guid, settings.script, {
+				guid,
+				method: req.method,
+				url,
+				path: subPath,
+				query: req.query,
+				headers: req.headers,
+				body: Buffer.isBuffer(req.body) ? rawBody.toString('utf8') : req.body,
+				rawBody: rawBody.toString('utf8'),
+				timestamp: requestData.timestamp
+			})
+			requestData.script = scripted.record
+		} catch (err) {
+			console.error(`Error running script for GUID ${guid}:`, err)
+		}
+	}
+
+	const result = await logRequest(guid, requestData, settings)
 	if (result.error) {
-		res.status(result.status).send(result.error)
-	} else {
-		res.sendStatus(result.status)
+		return res.status(result.status).send(result.error)
+	}
+
+	// Record the status we answered with once the response is out, whichever of the paths below sends it
+	res.on('finish', () => {
+		storage.setResponseStatus(guid, requestData.logNumber, res.statusCode).catch(err => {
+			console.error(`Error saving the response status of log #${requestData.logNumber} for GUID ${guid}:`, err)
+		})
+	})
+
+	// Misbehave on purpose in chaos mode: wait, then drop the connection or fail instead of answering
+	const { fault } = requestData
+	if (fault) {
+		if (fault.delay) await new Promise(resolve => setTimeout(resolve, fault.delay))
+		if (fault.action === 'reset') return req.socket.destroy()
+
+		if (fault.action === 'error') {
+			if (fault.retryAfter !== undefined) res.set('Retry-After', String(fault.retryAfter))
+			return sendBody(res.status(fault.status).type('text/plain'), `Simulated ${fault.status} from chaos mode`, fault)
+		}
+	}
+
+	// In proxy mode, forward to the upstreams and answer with the first one's response unless the mock is preferred
+	if (settings.proxy) {
+		const forwarding = forwardRequest(guid, requestData, settings.proxy)
+
+		if (settings.proxy.respondWith === 'upstream') {
+			const [primary] = await forwarding
+			if (primary.error) return res.status(502).send(`Upstream error: ${primary.error}`)
+			return sendBody(res.status(primary.status).set(passthroughHeaders(primary.headers)), primary.rawBody, fault)
+		}
+	}
+
+	// A script's response takes the place of the mock responses
+	if (scripted && scripted.response) {
+		const { status, headers, body } = scripted.response
+		return sendBody(res.status(status).set(headers), body, fault)
+	}
+
+	// Answer with the first matching mock response, if any
+	let rule
+	try {
+		rule = matchResponseRule(await storage.listResponses(guid) || [], req.method, subPath)
+	} catch (err) {
+		console.error(`Error reading responses for GUID ${guid}:`, err)
+	}
+
+	if (!rule) return sendBody(res.status(result.status).type('text/plain'), 'OK', fault)
+
+	if (rule.delay > 0) {
+		await new Promise(resolve => setTimeout(resolve, rule.delay))
+	}
+
+	const body = renderTemplate(rule.body, {
+		guid,
+		subPath,
+		logNumber: requestData.logNumber,
+		method: req.method,
+		timestamp: requestData.timestamp,
+		query: req.query,
+		headers: req.headers,
+		body: req.body
+	})
+
+	res.status(rule.status).set(rule.headers)
+	if (!body) return res.end()
+	if (!res.get('Content-Type')) res.type(guessContentType(body))
+	sendBody(res, body, fault)
+}
+
+// Log all requests under their respective GUIDs (or aliases). Errors go to Express's error handler, which
+// answers with a 500 (or drops the connection if the response already started) instead of the process dying.
+app.all('/:guid/:subPath*?', async (req, res, next) => {
+	try {
+		await captureRequest(req, res)
+	} catch (err) {
+		next(err)
 	}
 })
 
-// Start the server
-app.listen(PORT, () => console.log(`Server listening on port ${PORT}`))
+// Start the server (and the HTTPS one, if configured), with the live feed's WebSocket endpoint alongside the app
+const server = app.listen(PORT, config.host, () => console.log(`Server listening on ${config.host ? `${config.host}:` : 'port '}${PORT}`))
+live.attach(server, '/live')
+
+if (HTTPS_OPTIONS) {
+	const secureServer = https.createServer(HTTPS_OPTIONS, app).listen(config.httpsPort, config.host, () => {
+		console.log(`HTTPS server listening on ${config.host ? `${config.host}:` : 'port '}${config.httpsPort}`)
+	})
+	live.attach(secureServer, '/live')
+}
+
+// Enforce retention policies shortly after startup and then periodically
+setTimeout(sweepRetention, 5000)
+setInterval(sweepRetention, SWEEP_INTERVAL)
+
+// On SIGINT or SIGTERM, save the rejection counts not flushed yet and close storage before exiting
+let shuttingDown = false
+async function shutdown(signal) {
+	if (shuttingDown) return
+	shuttingDown = true
+	console.log(`${signal} received, shutting down`)
+
+	try {
+		await gatekeeper.flush()
+		await storage.close()
+	} catch (err) {
+		console.error('Error shutting down:', err)
+	}
+	process.exit(0)
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'))
+process.on('SIGTERM', () => shutdown('SIGTERM'))
@@ -0,0 +1,33 @@
+// URLs are addressed by a v4 GUID, or by an alias chosen for them such as "stripe-staging"
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Aliases are 3 to 64 lowercase letters, digits and hyphens, starting and ending with a letter or digit
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}[a-z0-9]$/
+
+// First path segments the app's own routes and pages use, which an alias would be shadowed by
+const RESERVED_ALIASES = [
+	'access', 'alias-url', 'api', 'auth', 'create-url', 'delete-url', 'get-urls', 'import', 'live', 'login',
+	'logs', 'logs-stream', 'rename-url', 'responses', 'settings', 'store', 'view'
+]
+
+// Whether a path segment is shaped like a GUID
+function isGuid(value) {
+	return GUID_PATTERN.test(value || '')
+}
+
+// Validate and normalize an alias (case-insensitive), throwing on bad input. Returns null when
+// there is no alias, which removes it.
+function parseAlias(input) {
+	if (input === undefined || input === null || input === false) return null
+	const alias = String(input).trim().toLowerCase()
+	if (!alias) return null
+
+	if (!ALIAS_PATTERN.test(alias)) {
+		throw new Error('Aliases must be 3 to 64 letters, digits and hyphens, starting and ending with a letter or digit')
+	}
+	if (isGuid(alias)) throw new Error('An alias can\'t be a GUID')
+	if (RESERVED_ALIASES.includes(alias)) throw new Error(`"${alias}" is reserved`)
+	return alias
+}
+
+module.exports = { isGuid, parseAlias }
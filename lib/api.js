@@ -0,0 +1,307 @@
+const http = require('http')
+const express = require('express')
+const { parseLogFilter } = require('./log-filter')
+const { parseAlias } = require('./aliases')
+const { parseDuration } = require('./retention')
+const { parseStatsOptions } = require('./stats')
+const { createOpenApiDocument } = require('./openapi')
+
+// How long a wait for the next request holds the connection by default, and at most
+const DEFAULT_WAIT = 30000
+const MAX_WAIT = 120000
+
+// An error carrying the status it should be answered with
+function httpError(status, message) {
+	const err = new Error(message)
+	err.status = status
+	return err
+}
+
+// Run a parser on client input, turning what it throws into a 400
+function parseInput(parse, ...args) {
+	try {
+		return parse(...args)
+	} catch (err) {
+		throw httpError(400, err.message)
+	}
+}
+
+// Pass errors from an async handler on to the error handler below
+function wrap(fn) {
+	return (req, res, next) => fn(req, res, next).catch(next)
+}
+
+// Answer with an error as { error: { status, message } }
+function sendError(res, status, message) {
+	res.status(status).type('json').json({ error: { status, message: message || http.STATUS_CODES[status] || 'Error' } })
+}
+
+// Middleware answering the errors other middleware sends as text (such as the auth checks) as JSON instead
+function jsonErrors(req, res, next) {
+	const send = res.send
+	res.send = function(body) {
+		if (res.statusCode >= 400 && !/json/.test(res.get('Content-Type') || '')) {
+			res.send = send
+			return sendError(res, res.statusCode, typeof body === 'string' ? body : null)
+		}
+		return send.call(this, body)
+	}
+	next()
+}
+
+// Versioned REST API (/api/v1) for scripts and test suites: resource-style routes for URLs, their requests,
+// settings and stats, errors as JSON, an OpenAPI document at /api/v1/openapi.json, and a long-poll wait for
+// the next request matching a filter. Sign in as for the pages, or send an API token as a bearer token.
+// createUrl(name, alias, principal) and deleteUrl(guid) are the app's own, so URLs made or removed through
+// the API are owned, announced and cleaned up the same way.
+function createApi({ storage, auth, live, settings, createUrl, deleteUrl }) {
+	const router = express.Router()
+	const openApiDocument = createOpenApiDocument({ settingKeys: Object.keys(settings) })
+
+	// A URL as listed, with its request and rejection counts, or a 404
+	async function findUrl(guid) {
+		const url = await storage.getUrlSummary(guid)
+		if (!url) throw httpError(404, 'URL not found')
+		return url
+	}
+
+	// The log number of a URL's newest request, or 0 when it has none
+	async function latestLogNumber(guid) {
+		const [latest] = await storage.listLogs(guid, {}, { limit: 1 }) || []
+		return latest ? latest.logNumber : 0
+	}
+
+	// Resolve with the first request to a URL newer than since that matches a filter, or null if none arrives
+	// within timeout milliseconds. Rejects with a 404 if the URL is deleted in the meantime.
+	function waitForRequest(req, res, guid, filter, since, timeout) {
+		return new Promise((resolve, reject) => {
+			let done = false
+			let timer = null
+			let unsubscribe = null
+			const finish = (err, log) => {
+				if (done) return
+				done = true
+				clearTimeout(timer)
+				if (unsubscribe) unsubscribe()
+				res.removeListener('close', cancel)
+				if (err) reject(err)
+				else resolve(log)
+			}
+			const cancel = () => finish(null, null)
+
+			// Too many logs to replay; look up the oldest match instead
+			const lookUp = () => storage.listLogs(guid, { ...filter, since }, { oldestFirst: true, limit: 1 }).then(logs => {
+				if (logs && logs.length) finish(null, logs[0])
+			}, err => finish(err))
+
+			unsubscribe = live.subscribe({
+				guids: new Set([guid]),
+				principal: req.auth,
+				filter,
+				send: event => {
+					if (event.type === 'log') finish(null, event.log)
+					else if (event.type === 'url-deleted') finish(httpError(404, 'URL not found'))
+					else if (event.type === 'resync') lookUp()
+				}
+			}, { [guid]: since })
+
+			timer = setTimeout(cancel, timeout)
+			res.on('close', cancel) // The client gave up
+		})
+	}
+
+	router.use(jsonErrors)
+
+	// The OpenAPI document describing this API
+	router.get('/openapi.json', (req, res) => {
+		res.json(openApiDocument)
+	})
+
+	// The URL with an alias, as a list of it or of none, without counting every URL's requests
+	async function urlsWithAlias(input) {
+		let alias = null
+		try {
+			alias = parseAlias(input)
+		} catch (err) {
+			// Not a valid alias, so no URL has it
+		}
+
+		const guid = alias && await storage.findAlias(alias)
+		const url = guid && await storage.getUrlSummary(guid)
+		return url ? [url] : []
+	}
+
+	// List the URLs the caller can read, or only the one with ?alias=
+	router.get('/urls', auth.requireUser(), wrap(async (req, res) => {
+		const readable = req.auth ? await auth.readableGuids(req.auth) : null // Null means every URL
+		const urls = req.query.alias === undefined ? await storage.listUrls() : await urlsWithAlias(req.query.alias)
+		res.json(readable ? urls.filter(url => readable.has(url.guid)) : urls)
+	}))
+
+	// Create a URL ({ name, alias }, both optional)
+	router.post('/urls', auth.requireUser('write'), wrap(async (req, res) => {
+		const body = req.body || {}
+		const name = body.name === undefined ? 'Untitled' : String(body.name)
+		const alias = parseInput(parseAlias, body.alias)
+
+		const created = await createUrl(name, alias, req.auth)
+		if (!created) throw httpError(409, `The alias "${alias}" is taken`)
+
+		res.status(201).location(`${req.baseUrl}/urls/${created.guid}`).json(await findUrl(created.guid))
+	}))
+
+	// Get a URL
+	router.get('/urls/:guid', auth.requireAccess('read'), wrap(async (req, res) => {
+		res.json(await findUrl(req.params.guid))
+	}))
+
+	// Rename a URL and/or set its alias ({ name, alias }; a null alias removes it)
+	router.patch('/urls/:guid', auth.requireAccess('write'), wrap(async (req, res) => {
+		const { guid } = req.params
+		const body = req.body || {}
+		const alias = body.alias === undefined ? undefined : parseInput(parseAlias, body.alias)
+		if (body.name !== undefined && typeof body.name !== 'string') throw httpError(400, 'name must be a string')
+
+		await findUrl(guid)
+
+		if (alias !== undefined) {
+			const result = await storage.setAlias(guid, alias)
+			if (result === null) throw httpError(404, 'URL not found')
+			if (!result) throw httpError(409, `The alias "${alias}" is taken`)
+			live.publish({ type: 'url-aliased', guid, alias })
+		}
+
+		if (body.name !== undefined) {
+			if (!(await storage.renameUrl(guid, body.name))) throw httpError(404, 'URL not found')
+			live.publish({ type: 'url-renamed', guid, name: body.name })
+		}
+
+		res.json(await findUrl(guid))
+	}))
+
+	// Delete a URL and everything captured for it
+	router.delete('/urls/:guid', auth.requireDeleteAccess(), wrap(async (req, res) => {
+		if (!(await deleteUrl(req.params.guid))) throw httpError(404, 'URL not found')
+		res.sendStatus(204)
+	}))
+
+	// Get a page of a URL's requests, newest first, with the same filters as /logs/:guid
+	router.get('/urls/:guid/requests', auth.requireAccess('read'), wrap(async (req, res) => {
+		const { guid } = req.params
+		const filter = parseInput(parseLogFilter, req.query)
+
+		// Fetch one extra log to tell whether another page follows
+		const logs = await storage.listLogs(guid, filter, { limit: filter.limit + 1 })
+		if (!logs) throw httpError(404, 'URL not found')
+
+		const requests = logs.slice(0, filter.limit)
+		const nextCursor = logs.length > filter.limit ? requests[requests.length - 1].logNumber : null
+		res.json({ requests, nextCursor })
+	}))
+
+	// Wait for the next request matching the filters (as for listing requests), for up to ?timeout= (30s by
+	// default). Answers with the request, or 204 if none arrived in time. Pass ?since=<logNumber> to also
+	// accept requests that arrived after that one but before the wait began, so none slip through in between.
+	router.get('/urls/:guid/requests/wait', auth.requireAccess('read'), wrap(async (req, res) => {
+		const { guid } = req.params
+		const { timeout: timeoutInput, ...query } = req.query
+		const filter = { ...parseInput(parseLogFilter, query), cursor: undefined, limit: undefined }
+
+		const timeout = timeoutInput === undefined ? DEFAULT_WAIT : parseInput(parseDuration, timeoutInput, 'timeout')
+		if (timeout > MAX_WAIT) throw httpError(400, `timeout must be at most ${MAX_WAIT / 1000}s`)
+
+		if (!(await storage.getUrl(guid))) throw httpError(404, 'URL not found')
+		const since = filter.since === undefined ? await latestLogNumber(guid) : filter.since
+		delete filter.since
+
+		const log = await waitForRequest(req, res, guid, filter, since, timeout)
+		if (!log) return res.sendStatus(204)
+		res.json(log)
+	}))
+
+	// Get one request
+	router.get('/urls/:guid/requests/:logNumber(\\d+)', auth.requireAccess('read'), wrap(async (req, res) => {
+		const { guid, logNumber } = req.params
+		const log = await storage.getLog(guid, logNumber)
+		if (!log) throw httpError(404, 'Request not found')
+		res.json(log)
+	}))
+
+	// Delete one request
+	router.delete('/urls/:guid/requests/:logNumber(\\d+)', auth.requireAccess('write'), wrap(async (req, res) => {
+		const { guid, logNumber } = req.params
+		if (!(await storage.getLog(guid, logNumber))) throw httpError(404, 'Request not found')
+		await storage.deleteLogs(guid, [logNumber])
+		live.publish({ type: 'logs-deleted', guid, logNumbers: [Number(logNumber)] })
+		res.sendStatus(204)
+	}))
+
+	// Delete all of a URL's requests
+	router.delete('/urls/:guid/requests', auth.requireAccess('write'), wrap(async (req, res) => {
+		const { guid } = req.params
+		if (!(await storage.deleteLogs(guid, null))) throw httpError(404, 'URL not found')
+		live.publish({ type: 'logs-deleted', guid, logNumbers: null })
+		res.sendStatus(204)
+	}))
+
+	// Get a URL's traffic stats, as /logs/:guid/stats
+	router.get('/urls/:guid/stats', auth.requireAccess('read'), wrap(async (req, res) => {
+		const { guid } = req.params
+		const stats = await storage.getStats(guid, parseInput(parseStatsOptions, req.query))
+		if (!stats) throw httpError(404, 'URL not found')
+		res.json(stats)
+	}))
+
+	// Get all of a URL's settings
+	router.get('/urls/:guid/settings', auth.requireAccess('write'), wrap(async (req, res) => {
+		const values = await storage.getSettings(req.params.guid)
+		if (!values) throw httpError(404, 'URL not found')
+		res.json(values)
+	}))
+
+	// Check that a setting exists, for the routes below
+	function settingKey(req, res, next) {
+		if (!settings.hasOwnProperty(req.params.key)) return sendError(res, 404, `Unknown setting: ${req.params.key}`)
+		next()
+	}
+
+	// Get one of a URL's settings, null when it isn't set
+	router.get('/urls/:guid/settings/:key', auth.requireAccess('write'), settingKey, wrap(async (req, res) => {
+		const { guid, key } = req.params
+		const values = await storage.getSettings(guid)
+		if (!values) throw httpError(404, 'URL not found')
+		res.json(values[key] === undefined ? null : values[key])
+	}))
+
+	// Replace one of a URL's settings, answering with the value as saved
+	router.put('/urls/:guid/settings/:key', auth.requireAccess('write'), settingKey, wrap(async (req, res) => {
+		const { guid, key } = req.params
+		const value = parseInput(settings[key], req.body)
+		if (!(await storage.setSetting(guid, key, value))) throw httpError(404, 'URL not found')
+		res.json(value)
+	}))
+
+	// Clear one of a URL's settings
+	router.delete('/urls/:guid/settings/:key', auth.requireAccess('write'), settingKey, wrap(async (req, res) => {
+		const { guid, key } = req.params
+		if (!(await storage.setSetting(guid, key, null))) throw httpError(404, 'URL not found')
+		res.sendStatus(204)
+	}))
+
+	// Anything else under the API is unknown
+	router.use((req, res) => sendError(res, 404, `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`))
+
+	return { router, handleError }
+}
+
+// Error middleware answering errors under the API (including unreadable bodies, which fail before the
+// router sees the request) as JSON
+function handleError(err, req, res, next) {
+	if (res.headersSent) return next(err)
+
+	const status = err.status || err.statusCode || 500
+	if (status >= 500) console.error(`Error handling ${req.method} ${req.originalUrl}:`, err)
+	sendError(res, status, status >= 500 ? 'Internal server error' : err.message)
+}
+
+module.exports = { createApi }
@@ -0,0 +1,393 @@
+const crypto = require('crypto')
+const path = require('path')
+const express = require('express')
+const sqlite3 = require('sqlite3').verbose()
+
+const SESSION_COOKIE = 'wb_session'
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000 // One week
+
+// Access levels in increasing order; each includes the ones before it
+const LEVELS = ['read', 'write', 'owner']
+
+// Hash a password with scrypt, generating a salt unless one is given
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+	const hash = crypto.scryptSync(password, salt, 64).toString('hex')
+	return { salt, hash }
+}
+
+// Hash a session or API token for storage; only the hash is ever kept
+function hashToken(token) {
+	return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+// Generate a new random session or API token
+function generateToken() {
+	return crypto.randomBytes(32).toString('base64url')
+}
+
+// Parse a Cookie header into an object
+function parseCookies(header) {
+	const cookies = {}
+	;(header || '').split(';').forEach(pair => {
+		const index = pair.indexOf('=')
+		if (index > 0) cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim())
+	})
+	return cookies
+}
+
+// Pass errors from an async handler or middleware on to Express
+function wrap(fn) {
+	return (req, res, next) => fn(req, res, next).catch(next)
+}
+
+// Return the lower of two access levels
+function minLevel(a, b) {
+	return LEVELS[Math.min(LEVELS.indexOf(a), LEVELS.indexOf(b))]
+}
+
+// Check whether a granted level satisfies a required one
+function hasLevel(granted, required) {
+	return LEVELS.indexOf(granted) >= LEVELS.indexOf(required)
+}
+
+// Create the authentication layer, backed by an SQLite database in the data directory.
+// Authentication stays off until the first user is created through /auth/setup; that user is an admin.
+function createAuth(dataDir) {
+	let db = null
+	let authEnabled = null // Cached; null until first checked
+
+	// Open the auth database on first use, creating its tables
+	function getDb() {
+		if (db) return db
+
+		db = new sqlite3.Database(path.join(dataDir, 'auth.sqlite'))
+		db.serialize(() => {
+			db.run(
+				`CREATE TABLE IF NOT EXISTS users (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					username TEXT UNIQUE NOT NULL,
+					passwordHash TEXT NOT NULL,
+					salt TEXT NOT NULL,
+					admin INTEGER DEFAULT 0,
+					created TEXT
+				)`
+			)
+			db.run(`CREATE TABLE IF NOT EXISTS sessions (tokenHash TEXT PRIMARY KEY, userId INTEGER, expires TEXT)`)
+			db.run(
+				`CREATE TABLE IF NOT EXISTS tokens (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					userId INTEGER,
+					name TEXT,
+					tokenHash TEXT UNIQUE,
+					scope TEXT,
+					created TEXT,
+					lastUsed TEXT
+				)`
+			)
+			db.run(`CREATE TABLE IF NOT EXISTS access (guid TEXT, userId INTEGER, level TEXT, PRIMARY KEY (guid, userId))`)
+		})
+		return db
+	}
+
+	function run(sql, params = []) {
+		return new Promise((resolve, reject) => {
+			getDb().run(sql, params, function(err) {
+				if (err) return reject(err)
+				resolve(this)
+			})
+		})
+	}
+
+	function get(sql, params = []) {
+		return new Promise((resolve, reject) => {
+			getDb().get(sql, params, (err, row) => (err ? reject(err) : resolve(row)))
+		})
+	}
+
+	function all(sql, params = []) {
+		return new Promise((resolve, reject) => {
+			getDb().all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))
+		})
+	}
+
+	// Whether any user exists yet
+	async function isEnabled() {
+		if (authEnabled === null) {
+			const row = await get(`SELECT COUNT(*) AS count FROM users`)
+			authEnabled = row.count > 0
+		}
+		return authEnabled
+	}
+
+	async function createUser(username, password, admin = false) {
+		if (!username || !password) throw new Error('Username and password are required')
+		if (String(password).length < 8) throw new Error('Password must be at least 8 characters')
+
+		const { salt, hash } = hashPassword(String(password))
+		try {
+			const result = await run(
+				`INSERT INTO users (username, passwordHash, salt, admin, created) VALUES (?, ?, ?, ?, ?)`,
+				[String(username), hash, salt, admin ? 1 : 0, new Date().toISOString()]
+			)
+			authEnabled = true
+			return { id: result.lastID, username: String(username), admin }
+		} catch (err) {
+			if (err.code === 'SQLITE_CONSTRAINT') throw new Error('Username is already taken')
+			throw err
+		}
+	}
+
+	async function startSession(user) {
+		const token = generateToken()
+		await run(`INSERT INTO sessions (tokenHash, userId, expires) VALUES (?, ?, ?)`, [
+			hashToken(token),
+			user.id,
+			new Date(Date.now() + SESSION_TTL).toISOString()
+		])
+		return token
+	}
+
+	// Resolve the session cookie or bearer token on a request to { user, scope, tokenId }, or null.
+	// Only reads the raw headers, so it also works on requests Express never sees, such as WebSocket upgrades.
+	async function identify(req) {
+		const header = req.headers.authorization || ''
+		if (header.startsWith('Bearer ')) {
+			const row = await get(
+				`SELECT tokens.id AS tokenId, tokens.scope, users.id, users.username, users.admin
+				FROM tokens JOIN users ON users.id = tokens.userId WHERE tokens.tokenHash = ?`,
+				[hashToken(header.slice(7).trim())]
+			)
+			if (!row) return null
+
+			await run(`UPDATE tokens SET lastUsed = ? WHERE id = ?`, [new Date().toISOString(), row.tokenId])
+			return {
+				user: { id: row.id, username: row.username, admin: Boolean(row.admin) },
+				scope: row.scope === 'write' ? 'write' : 'read', // Sharing URLs takes a session
+				tokenId: row.tokenId
+			}
+		}
+
+		const sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE]
+		if (!sessionToken) return null
+
+		const row = await get(
+			`SELECT users.id, users.username, users.admin, sessions.expires
+			FROM sessions JOIN users ON users.id = sessions.userId WHERE sessions.tokenHash = ?`,
+			[hashToken(sessionToken)]
+		)
+		if (!row || row.expires < new Date().toISOString()) return null
+
+		return { user: { id: row.id, username: row.username, admin: Boolean(row.admin) }, scope: 'owner', tokenId: null }
+	}
+
+	// The access level a principal has on a URL, capped by the token scope, or null for none
+	async function accessLevel(principal, guid) {
+		if (principal.user.admin) return principal.scope
+
+		const row = await get(`SELECT level FROM access WHERE guid = ? AND userId = ?`, [guid, principal.user.id])
+		return row ? minLevel(row.level, principal.scope) : null
+	}
+
+	// Middleware that attaches req.auth (or null) without rejecting anything
+	async function authenticate(req, res, next) {
+		try {
+			req.auth = (await isEnabled()) ? await identify(req) : null
+			next()
+		} catch (err) {
+			next(err)
+		}
+	}
+
+	// Middleware requiring a signed-in user with at least the given token scope
+	function requireUser(level = 'read') {
+		return wrap(async (req, res, next) => {
+			if (!(await isEnabled())) return next()
+			if (!req.auth) return res.status(401).send('Authentication required')
+			if (!hasLevel(req.auth.scope, level)) return res.status(403).send('This token is read-only')
+			next()
+		})
+	}
+
+	// Middleware requiring at least the given access level on the URL in req.params.guid
+	function requireAccess(level) {
+		return wrap(async (req, res, next) => {
+			if (!(await isEnabled())) return next()
+			if (!req.auth) return res.status(401).send('Authentication required')
+
+			const granted = await accessLevel(req.auth, req.params.guid)
+			if (!granted) return res.sendStatus(404) // Don't reveal URLs the user can't see
+			if (!hasLevel(granted, level)) return res.status(403).send(`This action requires ${level} access`)
+			next()
+		})
+	}
+
+	// Middleware for deleting the URL in req.params.guid: its owner (or an admin) may, signed in or with a read-write
+	// token. Sharing it stays with signed-in owners, through requireAccess('owner').
+	function requireDeleteAccess() {
+		return wrap(async (req, res, next) => {
+			if (!(await isEnabled())) return next()
+			if (!req.auth) return res.status(401).send('Authentication required')
+
+			const owned = await accessLevel({ ...req.auth, scope: 'owner' }, req.params.guid) // The user's own access, not capped by the token
+			if (!owned) return res.sendStatus(404)
+			if (owned !== 'owner' || !hasLevel(req.auth.scope, 'write')) return res.status(403).send('Deleting a URL requires owner access')
+			next()
+		})
+	}
+
+	// Middleware redirecting browsers to the login page when a page needs a session
+	const requirePageLogin = wrap(async (req, res, next) => {
+		if (!(await isEnabled()) || req.auth) return next()
+		res.redirect('/login.html')
+	})
+
+	// The GUIDs a principal may read, or null if it may read all of them
+	async function readableGuids(principal) {
+		if (!(await isEnabled()) || principal.user.admin) return null
+
+		const rows = await all(`SELECT guid FROM access WHERE userId = ?`, [principal.user.id])
+		return new Set(rows.map(row => row.guid))
+	}
+
+	// Record the creator of a new URL as its owner
+	async function setOwner(guid, principal) {
+		if (!principal) return
+		await run(`INSERT OR REPLACE INTO access (guid, userId, level) VALUES (?, ?, 'owner')`, [guid, principal.user.id])
+	}
+
+	// Forget all access entries for a deleted URL
+	async function forgetUrl(guid) {
+		if (!(await isEnabled())) return
+		await run(`DELETE FROM access WHERE guid = ?`, [guid])
+	}
+
+	// Routes for signing in, API tokens, users and sharing URLs
+	const router = express.Router()
+
+	// Report whether authentication is on, whether setup is needed, and who is signed in
+	router.get('/auth/me', wrap(async (req, res) => {
+		const enabled = await isEnabled()
+		res.json({
+			authEnabled: enabled,
+			setupRequired: !enabled,
+			user: req.auth ? req.auth.user : null,
+			scope: req.auth ? req.auth.scope : null
+		})
+	}))
+
+	// Create the first (admin) user, which turns authentication on
+	router.post('/auth/setup', wrap(async (req, res) => {
+		if (await isEnabled()) return res.status(409).send('Setup has already been completed')
+
+		try {
+			const user = await createUser(req.body.username, req.body.password, true)
+			res.cookie(SESSION_COOKIE, await startSession(user), { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: SESSION_TTL })
+			res.status(201).json(user)
+		} catch (err) {
+			res.status(400).send(err.message)
+		}
+	}))
+
+	router.post('/auth/login', wrap(async (req, res) => {
+		const { username, password } = req.body
+		const row = await get(`SELECT * FROM users WHERE username = ?`, [String(username || '')])
+		const valid = row && crypto.timingSafeEqual(
+			Buffer.from(hashPassword(String(password || ''), row.salt).hash, 'hex'),
+			Buffer.from(row.passwordHash, 'hex')
+		)
+		if (!valid) return res.status(401).send('Invalid username or password')
+
+		const user = { id: row.id, username: row.username, admin: Boolean(row.admin) }
+		res.cookie(SESSION_COOKIE, await startSession(user), { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: SESSION_TTL })
+		res.json(user)
+	}))
+
+	router.post('/auth/logout', wrap(async (req, res) => {
+		const sessionToken = parseCookies(req.get('Cookie'))[SESSION_COOKIE]
+		if (sessionToken) await run(`DELETE FROM sessions WHERE tokenHash = ?`, [hashToken(sessionToken)])
+		res.clearCookie(SESSION_COOKIE)
+		res.sendStatus(200)
+	}))
+
+	// Admins add further users
+	router.post('/auth/users', requireUser('write'), wrap(async (req, res) => {
+		if (!req.auth.user.admin) return res.status(403).send('Only admins can add users')
+
+		try {
+			res.status(201).json(await createUser(req.body.username, req.body.password, Boolean(req.body.admin)))
+		} catch (err) {
+			res.status(400).send(err.message)
+		}
+	}))
+
+	// List the signed-in user's API tokens (never the token values)
+	router.get('/auth/tokens', requireUser(), wrap(async (req, res) => {
+		res.json(await all(`SELECT id, name, scope, created, lastUsed FROM tokens WHERE userId = ? ORDER BY id`, [req.auth.user.id]))
+	}))
+
+	// Create an API token; the value is only ever returned here
+	router.post('/auth/tokens', requireUser('write'), wrap(async (req, res) => {
+		const { name = 'Untitled', scope } = req.body
+		if (!['read', 'write'].includes(scope)) return res.status(400).send('Scope must be "read" or "write"')
+
+		const token = generateToken()
+		const created = new Date().toISOString()
+		const result = await run(
+			`INSERT INTO tokens (userId, name, tokenHash, scope, created) VALUES (?, ?, ?, ?, ?)`,
+			[req.auth.user.id, String(name), hashToken(token), scope, created]
+		)
+		res.status(201).json({ id: result.lastID, name: String(name), scope, created, token })
+	}))
+
+	router.delete('/auth/tokens/:id', requireUser('write'), wrap(async (req, res) => {
+		const result = await run(`DELETE FROM tokens WHERE id = ? AND userId = ?`, [req.params.id, req.auth.user.id])
+		res.sendStatus(result.changes ? 200 : 404)
+	}))
+
+	// List who a URL is shared with
+	router.get('/access/:guid', requireAccess('owner'), wrap(async (req, res) => {
+		res.json(await all(
+			`SELECT users.username, access.level FROM access JOIN users ON users.id = access.userId WHERE access.guid = ? ORDER BY users.username`,
+			[req.params.guid]
+		))
+	}))
+
+	// Share a URL with another user, read-only or read-write
+	router.put('/access/:guid/:username', requireAccess('owner'), wrap(async (req, res) => {
+		const { level } = req.body
+		if (!['read', 'write'].includes(level)) return res.status(400).send('Level must be "read" or "write"')
+
+		const user = await get(`SELECT id FROM users WHERE username = ?`, [req.params.username])
+		if (!user) return res.status(404).send('No such user')
+
+		const existing = await get(`SELECT level FROM access WHERE guid = ? AND userId = ?`, [req.params.guid, user.id])
+		if (existing && existing.level === 'owner') return res.status(400).send('Cannot change the owner\'s access')
+
+		await run(`INSERT OR REPLACE INTO access (guid, userId, level) VALUES (?, ?, ?)`, [req.params.guid, user.id, level])
+		res.json({ username: req.params.username, level })
+	}))
+
+	router.delete('/access/:guid/:username', requireAccess('owner'), wrap(async (req, res) => {
+		const result = await run(
+			`DELETE FROM access WHERE guid = ? AND level != 'owner' AND userId = (SELECT id FROM users WHERE username = ?)`,
+			[req.params.guid, req.params.username]
+		)
+		res.sendStatus(result.changes ? 200 : 404)
+	}))
+
+	return {
+		router,
+		authenticate,
+		requireUser,
+		requireAccess,
+		requireDeleteAccess,
+		requirePageLogin,
+		isEnabled,
+		identify,
+		readableGuids,
+		setOwner,
+		forgetUrl
+	}
+}
+
+module.exports = { createAuth }
@@ -0,0 +1,109 @@
+const { MAX_RESPONSE_DELAY, ruleMatches } = require('./mock-responses')
+
+// Statuses chaos rules may inject: rate limiting and server errors
+const FAULT_STATUSES = [429, 500, 502, 503, 504]
+
+// Longest a slow-drip body may take to send; larger bodies are sent in bigger chunks to fit
+const MAX_DRIP_TIME = 60000
+
+// Read an optional integer field, throwing if it is outside [min, max]
+function integerField(input, key, label, min, max, fallback) {
+	if (input[key] === undefined || input[key] === null || input[key] === '') return fallback
+
+	const value = Number(input[key])
+	if (!Number.isInteger(value) || value < min || value > max) {
+		throw new Error(`${label} must be an integer between ${min} and ${max}`)
+	}
+	return value
+}
+
+// Validate and normalize one chaos rule. Method and subPath match like mock response rules.
+function parseChaosRule(input, index) {
+	const prefix = `Rule ${index + 1}: `
+	try {
+		const rule = {
+			method: input.method ? String(input.method).toUpperCase() : null,
+			subPath: input.subPath ? String(input.subPath) : null,
+			delayMin: integerField(input, 'delayMin', 'Minimum delay', 0, MAX_RESPONSE_DELAY, 0),
+			delayMax: null,
+			errorRate: integerField(input, 'errorRate', 'Error rate', 0, 100, 0),
+			errorStatuses: input.errorStatuses === undefined || input.errorStatuses === '' ? [500, 503] : input.errorStatuses,
+			retryAfter: integerField(input, 'retryAfter', 'Retry-After', 0, 86400, null),
+			resetRate: integerField(input, 'resetRate', 'Reset rate', 0, 100, 0),
+			dripChunk: integerField(input, 'dripChunk', 'Drip chunk size', 1, 65536, 1),
+			dripInterval: integerField(input, 'dripInterval', 'Drip interval', 0, 10000, 0)
+		}
+
+		// A single delay is fixed; a maximum makes it random between the two
+		rule.delayMax = integerField(input, 'delayMax', 'Maximum delay', rule.delayMin, MAX_RESPONSE_DELAY, rule.delayMin)
+
+		if (typeof rule.errorStatuses === 'string') rule.errorStatuses = rule.errorStatuses.split(',').filter(status => status.trim())
+		if (!Array.isArray(rule.errorStatuses) || !rule.errorStatuses.length) throw new Error('Error statuses must be a list')
+		rule.errorStatuses = rule.errorStatuses.map(Number)
+		if (!rule.errorStatuses.every(status => FAULT_STATUSES.includes(status))) {
+			throw new Error(`Error statuses must be among: ${FAULT_STATUSES.join(', ')}`)
+		}
+
+		if (rule.errorRate + rule.resetRate > 100) throw new Error('Error and reset rates must add up to 100% or less')
+
+		return rule
+	} catch (err) {
+		throw new Error(prefix + err.message)
+	}
+}
+
+// Validate and normalize chaos mode settings ({ rules: [...] }), throwing on bad input.
+// Returns null when there are no rules, which turns chaos mode off.
+function parseChaosSettings(input) {
+	const rules = input && input.rules
+	if (!rules || (Array.isArray(rules) && !rules.length)) return null
+	if (!Array.isArray(rules)) throw new Error('Rules must be a list')
+
+	return { rules: rules.map(parseChaosRule) }
+}
+
+// Decide which fault, if any, to inject into a request, using the first rule matching its method and
+// subPath. Resolves to null when the rule doesn't fire, otherwise to a description logged with the request:
+// { rule, delay, action: 'reset' | 'error' | null, status, retryAfter, drip: { chunkSize, interval } }
+function pickFault(chaos, method, subPath, random = Math.random) {
+	if (!chaos) return null
+
+	const index = chaos.rules.findIndex(rule => ruleMatches(rule, method, subPath))
+	if (index === -1) return null
+
+	const rule = chaos.rules[index]
+	const fault = { rule: index + 1, delay: rule.delayMin + Math.round(random() * (rule.delayMax - rule.delayMin)), action: null }
+
+	const roll = random() * 100
+	if (roll < rule.resetRate) {
+		fault.action = 'reset'
+	} else if (roll < rule.resetRate + rule.errorRate) {
+		fault.action = 'error'
+		fault.status = rule.errorStatuses[Math.floor(random() * rule.errorStatuses.length)]
+		if (rule.retryAfter !== null) fault.retryAfter = rule.retryAfter
+	}
+
+	if (rule.dripInterval && fault.action !== 'reset') {
+		fault.drip = { chunkSize: rule.dripChunk, interval: rule.dripInterval }
+	}
+
+	return fault.delay || fault.action || fault.drip ? fault : null
+}
+
+// Send a response body a few bytes at a time, pausing between chunks. Headers (including the
+// content type) must already be set; stops early if the client goes away.
+async function dripBody(res, body, drip) {
+	const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body))
+	const maxChunks = Math.max(1, Math.floor(MAX_DRIP_TIME / drip.interval))
+	const chunkSize = Math.max(drip.chunkSize, Math.ceil(buffer.length / maxChunks))
+
+	res.set('Content-Length', String(buffer.length))
+	for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+		if (offset > 0) await new Promise(resolve => setTimeout(resolve, drip.interval))
+		if (res.destroyed) return
+		res.write(buffer.subarray(offset, offset + chunkSize))
+	}
+	res.end()
+}
+
+module.exports = { FAULT_STATUSES, parseChaosSettings, pickFault, dripBody }
@@ -0,0 +1,270 @@
+const { isGuid } = require('./aliases')
+const { sendRequest } = require('./outbound')
+
+// Server used when none is given
+const DEFAULT_BASE_URL = 'http://localhost:4000'
+
+// How long to wait before reconnecting a live feed that dropped
+const RECONNECT_DELAY = 1000
+
+// Turn an error response into an Error carrying its status, with the message from a JSON error body
+// ({ error: { message } }, as the API sends) or the plain text the older routes send
+async function responseError(response) {
+	const text = await response.text()
+	let message = text || response.statusText
+	try {
+		message = JSON.parse(text).error.message
+	} catch (err) {
+		// Not a JSON error body; keep the text
+	}
+
+	const err = new Error(message)
+	err.status = response.status
+	return err
+}
+
+// Query string for a filter ({ method, subPath, ... }), leaving out empty values
+function queryString(params = {}) {
+	const query = new URLSearchParams()
+	Object.entries(params).forEach(([key, value]) => {
+		if (value !== undefined && value !== null && value !== '') query.set(key, String(value))
+	})
+	const text = query.toString()
+	return text ? `?${text}` : ''
+}
+
+// Read Server-Sent Events from a response body, calling onMessage({ event, id, data }) for each one
+async function readEvents(body, onMessage) {
+	const decoder = new TextDecoder()
+	let buffer = ''
+	let message = { event: 'message', id: null, data: [] }
+
+	for await (const chunk of body) {
+		buffer += decoder.decode(chunk, { stream: true })
+		const lines = buffer.split(/\r?\n/)
+		buffer = lines.pop()
+
+		for (const line of lines) {
+			if (line === '') {
+				if (message.data.length) onMessage({ ...message, data: message.data.join('\n') })
+				message = { event: 'message', id: null, data: [] }
+			} else if (!line.startsWith(':')) { // Lines starting with a colon are keep-alive comments
+				const colon = line.indexOf(':')
+				const field = colon === -1 ? line : line.slice(0, colon)
+				const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+				if (field === 'data') message.data.push(value)
+				else if (field === 'event') message.event = value
+				else if (field === 'id') message.id = value
+			}
+		}
+	}
+}
+
+// Client for a wb-hook server, for scripts and test suites: { baseUrl, token } where token is an API token
+// (needed once authentication is on). Methods reject with an Error carrying the response status (err.status)
+// when the server refuses. URLs are given by GUID; resolveUrl turns an alias into one.
+function createClient({ baseUrl = DEFAULT_BASE_URL, token = null } = {}) {
+	const base = baseUrl.replace(/\/+$/, '')
+
+	// Send a request to the server, resolving with the response once it is known to have succeeded
+	async function send(path, { method = 'GET', body, headers = {}, signal } = {}) {
+		const json = body !== undefined && !Buffer.isBuffer(body) && typeof body !== 'string'
+		const response = await fetch(base + path, {
+			method,
+			headers: {
+				...(json ? { 'Content-Type': 'application/json' } : {}),
+				...(token ? { Authorization: `Bearer ${token}` } : {}),
+				...headers
+			},
+			body: json ? JSON.stringify(body) : body,
+			signal
+		})
+
+		if (!response.ok) throw await responseError(response)
+		return response
+	}
+
+	// Send a request and resolve with its JSON response, or null when there is none (204)
+	async function request(path, options) {
+		const response = await send(path, options)
+		return response.status === 204 ? null : response.json()
+	}
+
+	// The address requests are captured at for a URL (its alias, if it has one, reads better)
+	function captureUrl(url) {
+		return `${base}/${url.alias || url.guid}`
+	}
+
+	// Resolve a GUID or alias to the GUID of a URL, rejecting with a 404 if no URL has that alias
+	async function resolveUrl(ref) {
+		if (isGuid(ref)) return ref.toLowerCase()
+
+		const [url] = await request(`/api/v1/urls${queryString({ alias: ref })}`)
+		if (!url) {
+			const err = new Error(`No URL has the alias "${ref}"`)
+			err.status = 404
+			throw err
+		}
+		return url.guid
+	}
+
+	function listUrls() {
+		return request('/api/v1/urls')
+	}
+
+	function getUrl(guid) {
+		return request(`/api/v1/urls/${guid}`)
+	}
+
+	// Create a URL ({ name, alias }, both optional)
+	function createUrl({ name, alias } = {}) {
+		return request('/api/v1/urls', { method: 'POST', body: { name, alias } })
+	}
+
+	function renameUrl(guid, name) {
+		return request(`/api/v1/urls/${guid}`, { method: 'PATCH', body: { name } })
+	}
+
+	// Set a URL's alias, or remove it with null
+	function setAlias(guid, alias) {
+		return request(`/api/v1/urls/${guid}`, { method: 'PATCH', body: { alias } })
+	}
+
+	function deleteUrl(guid) {
+		return request(`/api/v1/urls/${guid}`, { method: 'DELETE' })
+	}
+
+	// Get a page of a URL's requests, newest first, filtered as /logs/:guid (including cursor and limit)
+	function listRequests(guid, filter) {
+		return request(`/api/v1/urls/${guid}/requests${queryString(filter)}`)
+	}
+
+	function getRequest(guid, logNumber) {
+		return request(`/api/v1/urls/${guid}/requests/${logNumber}`)
+	}
+
+	function deleteRequests(guid) {
+		return request(`/api/v1/urls/${guid}/requests`, { method: 'DELETE' })
+	}
+
+	// Wait for the next request to a URL matching a filter, resolving with it, or with null if none arrives
+	// within timeout (a duration such as 30s, at most 2m). Pass since (a log number) to also accept one that
+	// arrived after it but before the wait began.
+	function waitForRequest(guid, filter = {}, { timeout, since, signal } = {}) {
+		return request(`/api/v1/urls/${guid}/requests/wait${queryString({ ...filter, since, timeout })}`, { signal })
+	}
+
+	function getStats(guid, options) {
+		return request(`/api/v1/urls/${guid}/stats${queryString(options)}`)
+	}
+
+	function getSettings(guid) {
+		return request(`/api/v1/urls/${guid}/settings`)
+	}
+
+	// Replace a setting, resolving with the value as saved; null clears it
+	function setSetting(guid, key, value) {
+		if (value === null) return request(`/api/v1/urls/${guid}/settings/${key}`, { method: 'DELETE' })
+		return request(`/api/v1/urls/${guid}/settings/${key}`, { method: 'PUT', body: value })
+	}
+
+	// Export a URL's logs, oldest first, as text in one of the export formats (jsonl by default)
+	async function exportLogs(guid, format = 'jsonl', filter = {}) {
+		const response = await send(`/logs/${guid}/export${queryString({ ...filter, format })}`)
+		return response.text()
+	}
+
+	// Have the server replay a captured request to a target URL, recording the result in the log's replays
+	function replay(guid, logNumber, target) {
+		return request(`/logs/${guid}/${logNumber}/replay`, { method: 'POST', body: { target } })
+	}
+
+	// Replay a captured request from this machine instead, so the target can be somewhere only it can reach
+	// (such as a local port). Resolves with { url, status, headers, body, latency, error }; nothing is recorded.
+	async function replayLocally(guid, logNumber, target) {
+		const log = await getRequest(guid, logNumber)
+		const { rawBody, ...result } = await sendRequest({ ...log, rawBody: log.rawBody && Buffer.from(log.rawBody, 'base64') }, target)
+		return result
+	}
+
+	// Import a file's contents (legacy JSON, JSON Lines, HAR or a bundle) into a new URL, or an existing one
+	// with guid. Options: format, name, renumber, dryRun. Resolves with the import summary, which lists any
+	// errors (in which case nothing was written).
+	async function importLogs(text, { guid, format, name, renumber, dryRun } = {}) {
+		const query = queryString({ format, name, renumber: renumber ? 1 : null, dryRun: dryRun ? 1 : null })
+		const response = await fetch(`${base}/import${guid ? `/${guid}` : ''}${query}`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'text/plain', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+			body: text
+		})
+
+		if (response.status !== 422 && !response.ok) throw await responseError(response)
+		return response.json()
+	}
+
+	// Follow a URL's live feed (/logs-stream/:guid), calling onEvent for each event: { type: 'log', guid, log }
+	// for a captured request (starting with the ones after since, if given), and the feed's other events
+	// (logs-deleted, url-renamed, url-aliased, resync) as they arrive. Reconnects when the connection drops,
+	// picking up after the last request seen, until signal is aborted or the URL is deleted.
+	async function tail(guid, { filter = {}, since, onEvent, signal } = {}) {
+		let lastSeen = since
+
+		while (!(signal && signal.aborted)) {
+			const connection = new AbortController() // Closed early once the URL is deleted
+			let deleted = false
+			try {
+				const response = await send(`/logs-stream/${guid}${queryString({ ...filter, since: lastSeen })}`, {
+					headers: { Accept: 'text/event-stream' },
+					signal: signal ? AbortSignal.any([signal, connection.signal]) : connection.signal
+				})
+
+				await readEvents(response.body, message => {
+					if (message.event === 'message') {
+						const log = JSON.parse(message.data)
+						lastSeen = log.logNumber
+						return onEvent({ type: 'log', guid, log })
+					}
+
+					const event = JSON.parse(message.data)
+					onEvent(event)
+					if (event.type === 'url-deleted') {
+						deleted = true
+						connection.abort()
+					}
+				})
+			} catch (err) {
+				if (deleted || (signal && signal.aborted)) return
+				if (err.status) throw err // The server refused, so trying again won't help
+			}
+
+			if (deleted) return
+			await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY))
+		}
+	}
+
+	return {
+		baseUrl: base,
+		captureUrl,
+		resolveUrl,
+		listUrls,
+		getUrl,
+		createUrl,
+		renameUrl,
+		setAlias,
+		deleteUrl,
+		listRequests,
+		getRequest,
+		deleteRequests,
+		waitForRequest,
+		getStats,
+		getSettings,
+		setSetting,
+		exportLogs,
+		replay,
+		replayLocally,
+		importLogs,
+		tail
+	}
+}
+
+module.exports = { DEFAULT_BASE_URL, createClient }
@@ -0,0 +1,194 @@
+const fs = require('fs')
+const path = require('path')
+const { parseDuration, parseSize } = require('./retention')
+const { RAW_BODY_LIMIT } = require('./raw-body')
+
+// Predefined morgan formats; "default" is the app's own colored one and "none" turns request logging off
+const LOG_FORMATS = ['default', 'none', 'combined', 'common', 'dev', 'short', 'tiny']
+
+// Config file read when none is named, if it exists, relative to the app's directory
+const DEFAULT_CONFIG_FILE = 'config.json'
+
+// Read a value as a string, from a file (where it may already be a number) or the environment
+function parseString(value, label) {
+	if (typeof value !== 'string' && typeof value !== 'number') throw new Error(`${label} must be a string`)
+	return String(value).trim()
+}
+
+// Read an integer no smaller than min and no larger than max
+function parseInteger(value, label, min, max) {
+	const number = Number(parseString(value, label))
+	if (!Number.isInteger(number) || number < min || number > max) {
+		throw new Error(`${label} must be an integer between ${min} and ${max}`)
+	}
+	return number
+}
+
+// Read a list, given as an array or as comma-separated text
+function parseList(value, label) {
+	const items = Array.isArray(value) ? value : parseString(value, label).split(',')
+	return items.map(item => parseString(item, label)).filter(Boolean)
+}
+
+// Read an http(s) URL that others can reach the server at, without a trailing slash
+function parseBaseUrl(value, label) {
+	let url
+	try {
+		url = new URL(parseString(value, label))
+	} catch (err) {
+		throw new Error(`${label} must be a URL such as https://hooks.example.com`)
+	}
+	if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`${label} must be an http or https URL`)
+	if (url.search || url.hash) throw new Error(`${label} can't have a query string or fragment`)
+	return url.href.replace(/\/+$/, '')
+}
+
+// Read a morgan format: one of LOG_FORMATS, or a format string made of :tokens
+function parseLogFormat(value, label) {
+	const format = parseString(value, label)
+	if (!LOG_FORMATS.includes(format) && !format.includes(':')) {
+		throw new Error(`${label} must be one of ${LOG_FORMATS.join(', ')}, or a morgan format string such as ":method :url :status"`)
+	}
+	return format
+}
+
+// Readers for each type of option, given the raw value, a label for errors and the directory relative paths are from
+const TYPES = {
+	string: parseString,
+	port: (value, label) => parseInteger(value, label, 0, 65535),
+	count: (value, label) => parseInteger(value, label, 0, Number.MAX_SAFE_INTEGER),
+	size: (value, label) => parseSize(parseString(value, label), label),
+	duration: (value, label) => parseDuration(parseString(value, label), label),
+	list: parseList,
+	path: (value, label, baseDir) => path.resolve(baseDir, parseString(value, label)),
+	url: parseBaseUrl,
+	logFormat: parseLogFormat
+}
+
+// Every configuration option, by its name in the config file. Each can also be set with an environment variable
+// (the name in upper snake case, e.g. DATA_DIR) or a command line flag (in kebab case, e.g. --data-dir); flags
+// win over the environment, which wins over the file. A null default leaves the option unset.
+const CONFIG_OPTIONS = {
+	dataDir: { type: 'path', default: 'data', description: 'Directory for URLs, their logs and the auth database' },
+	host: { type: 'string', default: null, description: 'Address to listen on (every interface when unset)' },
+	port: { type: 'port', default: 4000, description: 'HTTP port' },
+	publicUrl: { type: 'url', default: null, description: 'Base URL others reach the server at, for copied links and exports (the page\'s own address when unset)' },
+	bodyLimit: { type: 'size', default: RAW_BODY_LIMIT, description: 'Largest request body accepted, such as 10mb; bigger ones are answered with 413' },
+	jsonTypes: { type: 'list', default: ['application/json', 'application/*+json'], description: 'Content types parsed as JSON' },
+	formTypes: { type: 'list', default: ['application/x-www-form-urlencoded'], description: 'Content types parsed as URL-encoded forms' },
+	textTypes: { type: 'list', default: ['text/*'], description: 'Content types kept as text' },
+	rawTypes: { type: 'list', default: ['application/octet-stream'], description: 'Content types kept as binary; other bodies are only captured raw' },
+	logFormat: { type: 'logFormat', default: 'default', description: `Request log format: ${LOG_FORMATS.join(', ')} or a morgan format string` },
+	storage: { type: 'string', default: 'sqlite', description: 'Storage backend: sqlite, shared, json or memory' },
+	retentionMaxAge: { type: 'duration', default: null, description: 'Default for how long logs are kept, such as 30d' },
+	retentionMaxCount: { type: 'count', default: null, description: 'Default for how many logs a URL keeps' },
+	retentionMaxBytes: { type: 'size', default: null, description: 'Default for how much a URL\'s logs may take up, such as 500mb' },
+	retentionExpireAfter: { type: 'duration', default: null, description: 'Default for how long an unused URL lives, such as 90d' },
+	retentionSweepInterval: { type: 'duration', default: '1h', description: 'How often retention is applied' },
+	attachmentMaxSize: { type: 'size', default: '5mb', description: 'Largest file kept from a multipart upload; the rest is cut off' },
+	attachmentMaxFiles: { type: 'count', default: 20, description: 'Most files kept from a multipart upload' },
+	trustedProxies: { type: 'list', default: [], description: 'Proxies whose X-Forwarded-For is believed: addresses, subnets, loopback, linklocal or uniquelocal' },
+	httpsPort: { type: 'port', default: 4443, description: 'HTTPS port, when a certificate is set' },
+	httpsCert: { type: 'path', default: null, description: 'Certificate file (PEM) for HTTPS' },
+	httpsKey: { type: 'path', default: null, description: 'Private key file (PEM) for HTTPS' },
+	smtpHost: { type: 'string', default: 'localhost', description: 'SMTP relay for email notifications' },
+	smtpPort: { type: 'port', default: 25, description: 'SMTP relay port' },
+	smtpFrom: { type: 'string', default: 'diy-webhook@localhost', description: 'Sender of email notifications' },
+	hooksDir: { type: 'path', default: 'hooks', description: 'Directory of hook scripts notifications can run' }
+}
+
+// An option's environment variable and command line flag
+function envName(key) {
+	return key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()
+}
+
+function flagName(key) {
+	return `--${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`
+}
+
+// Describe the options for --help
+function configUsage() {
+	const lines = Object.entries(CONFIG_OPTIONS).map(([key, option]) => {
+		const fallback = option.default === null ? '' : ` (default: ${[].concat(option.default).join(',')})`
+		return `  ${flagName(key)}, ${envName(key)}\n      ${option.description}${fallback}`
+	})
+
+	return `Usage: node app.js [options]
+
+Options are read from a JSON config file (--config <file> or CONFIG_FILE, otherwise ${DEFAULT_CONFIG_FILE} if there is
+one), then environment variables, then these flags, each overriding the one before. Relative paths are from the
+config file's directory for values in the file, and from the current directory otherwise.
+
+${lines.join('\n')}`
+}
+
+// Split command line arguments into flag values ({ key: value }) and the config file named, if any
+function parseFlags(argv) {
+	const values = {}
+	let configFile = null
+	const flags = new Map(Object.keys(CONFIG_OPTIONS).map(key => [flagName(key), key]))
+
+	for (let i = 0; i < argv.length; i++) {
+		const [flag, inline] = argv[i].split(/=(.*)/s)
+		const value = inline !== undefined ? inline : argv[++i]
+		if (flag !== '--config' && !flags.has(flag)) throw new Error(`Unknown option: ${flag}`)
+		if (value === undefined) throw new Error(`${flag} needs a value`)
+
+		if (flag === '--config') configFile = value
+		else values[flags.get(flag)] = value
+	}
+
+	return { values, configFile }
+}
+
+// Read the config file, if one is named or the default one exists, resolving with its values and path
+function readConfigFile(named, rootDir) {
+	const file = path.resolve(named ? process.cwd() : rootDir, named || DEFAULT_CONFIG_FILE)
+	if (!named && !fs.existsSync(file)) return { values: {}, file: null }
+
+	let values
+	try {
+		values = JSON.parse(fs.readFileSync(file, 'utf8'))
+	} catch (err) {
+		throw new Error(`Can't read config file ${file}: ${err.message}`)
+	}
+	if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error(`Config file ${file} must hold a JSON object`)
+
+	const unknown = Object.keys(values).filter(key => !CONFIG_OPTIONS.hasOwnProperty(key))
+	if (unknown.length) throw new Error(`Unknown option${unknown.length > 1 ? 's' : ''} in config file ${file}: ${unknown.join(', ')}`)
+	return { values, file }
+}
+
+// Load the configuration from the config file, environment and command line flags (see configUsage), throwing
+// an error that lists every invalid value. rootDir is the app's directory, which defaults are relative to.
+function loadConfig({ argv = [], env = process.env, rootDir }) {
+	const flags = parseFlags(argv)
+	const file = readConfigFile(flags.configFile || env.CONFIG_FILE, rootDir)
+	const config = { configFile: file.file }
+	const errors = []
+
+	Object.entries(CONFIG_OPTIONS).forEach(([key, option]) => {
+		// The layer that sets the option, with a label for errors and the directory its relative paths are from
+		let source = { value: option.default, label: key, baseDir: rootDir }
+		if (file.values[key] !== undefined && file.values[key] !== null) {
+			source = { value: file.values[key], label: `${key} in ${file.file}`, baseDir: path.dirname(file.file) }
+		}
+		if (env[envName(key)] !== undefined && env[envName(key)] !== '') {
+			source = { value: env[envName(key)], label: envName(key), baseDir: process.cwd() }
+		}
+		if (flags.values[key] !== undefined) {
+			source = { value: flags.values[key], label: flagName(key), baseDir: process.cwd() }
+		}
+
+		try {
+			config[key] = source.value === null ? null : TYPES[option.type](source.value, source.label, source.baseDir)
+		} catch (err) {
+			errors.push(err.message)
+		}
+	})
+
+	if (errors.length) throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`)
+	return config
+}
+
+module.exports = { CONFIG_OPTIONS, configUsage, loadConfig }
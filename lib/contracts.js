@@ -0,0 +1,188 @@
+const Ajv = require('ajv')
+const addFormats = require('ajv-formats')
+const { ruleMatches } = require('./mock-responses')
+
+// Limits on what a contracts setting may ask for
+const MAX_CONTRACT_RULES = 20
+const MAX_CONTRACT_HEADERS = 50
+
+// Most errors kept for one request, and most distinct errors listed in a conformance summary
+const MAX_CONTRACT_ERRORS = 20
+const MAX_SUMMARY_ERRORS = 20
+
+// Compiled schemas kept at once, keyed by their JSON; the oldest are dropped beyond this
+const MAX_COMPILED_SCHEMAS = 100
+
+// Bucket sizes a conformance summary can be grouped by, in milliseconds
+const SUMMARY_BUCKETS = { hour: 3600000, day: 86400000 }
+
+const compiled = new Map() // Schema JSON -> validate function
+
+// Compile a JSON Schema (draft-07) into a validate function, throwing if the schema is invalid.
+// Each schema gets its own Ajv instance so $id values in different URLs' schemas can't collide.
+function compileSchema(schema) {
+	const key = JSON.stringify(schema)
+	if (compiled.has(key)) return compiled.get(key)
+
+	const ajv = new Ajv({ allErrors: true, strict: false })
+	addFormats(ajv)
+	const validate = ajv.compile(schema)
+
+	compiled.set(key, validate)
+	if (compiled.size > MAX_COMPILED_SCHEMAS) compiled.delete(compiled.keys().next().value)
+	return validate
+}
+
+// Validate and normalize a rule's header expectations: { name: value }, where an empty value only
+// requires the header to be present and any other value must appear in it
+function parseHeaderExpectations(input) {
+	if (input === undefined || input === null || input === '') return {}
+	if (typeof input !== 'object' || Array.isArray(input)) throw new Error('Headers must be an object of header names and expected values')
+
+	const entries = Object.entries(input)
+	if (entries.length > MAX_CONTRACT_HEADERS) throw new Error(`At most ${MAX_CONTRACT_HEADERS} headers are allowed`)
+
+	const headers = {}
+	entries.forEach(([name, value]) => {
+		if (!/^[!#$%&'*+.^`|~\w-]+$/.test(name)) throw new Error(`Invalid header name: ${name}`)
+		headers[name.toLowerCase()] = value === null || value === undefined || value === true ? '' : String(value)
+	})
+	return headers
+}
+
+// Validate and normalize one contract rule. Method and subPath match like mock response rules.
+function parseContractRule(input, index) {
+	const prefix = `Rule ${index + 1}: `
+	try {
+		const rule = {
+			name: input.name ? String(input.name).trim() : null,
+			method: input.method ? String(input.method).toUpperCase() : null,
+			subPath: input.subPath ? String(input.subPath) : null,
+			headers: parseHeaderExpectations(input.headers),
+			schema: input.schema === undefined || input.schema === '' ? null : input.schema
+		}
+
+		// The schema may come from a form as JSON text
+		if (typeof rule.schema === 'string') {
+			try {
+				rule.schema = JSON.parse(rule.schema)
+			} catch (err) {
+				throw new Error('Schema must be valid JSON')
+			}
+		}
+		if (rule.schema !== null && typeof rule.schema !== 'object' && typeof rule.schema !== 'boolean') {
+			throw new Error('Schema must be a JSON Schema object')
+		}
+		if (rule.schema === null && !Object.keys(rule.headers).length) throw new Error('A rule needs a schema or expected headers')
+
+		if (rule.schema !== null) {
+			try {
+				compileSchema(rule.schema)
+			} catch (err) {
+				throw new Error(`Invalid schema: ${err.message}`)
+			}
+		}
+
+		return rule
+	} catch (err) {
+		throw new Error(prefix + err.message)
+	}
+}
+
+// Validate and normalize contract settings ({ rules: [...] }), throwing on bad input.
+// Returns null when there are no rules, which turns contract checking off.
+function parseContractSettings(input) {
+	const rules = input && input.rules
+	if (!rules || (Array.isArray(rules) && !rules.length)) return null
+	if (!Array.isArray(rules)) throw new Error('Rules must be a list')
+	if (rules.length > MAX_CONTRACT_RULES) throw new Error(`At most ${MAX_CONTRACT_RULES} rules are allowed`)
+
+	return { rules: rules.map(parseContractRule) }
+}
+
+// The body a schema is checked against: the parsed body, with raw bytes read as text
+function validatedBody(body) {
+	if (Buffer.isBuffer(body)) return body.toString('utf8')
+	return body === undefined ? null : body
+}
+
+// Turn an Ajv error into { path, message }, with a dotted path into the body such as "body.items.0.id"
+function schemaError(error) {
+	const keys = error.instancePath.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+	return { path: ['body', ...keys].join('.'), message: error.message }
+}
+
+// Check an incoming request against the first contract rule matching its method and subPath.
+// Returns { valid, rule, errors: [{ path, message }] }, or null when no rule applies.
+function checkContract(settings, method, subPath, headers, body) {
+	if (!settings) return null
+
+	const index = settings.rules.findIndex(rule => ruleMatches(rule, method, subPath))
+	if (index === -1) return null
+
+	const rule = settings.rules[index]
+	const errors = []
+
+	Object.entries(rule.headers).forEach(([name, expected]) => {
+		const value = headers[name]
+		if (value === undefined) {
+			errors.push({ path: `headers.${name}`, message: 'is missing' })
+		} else if (expected && !String(value).includes(expected)) {
+			errors.push({ path: `headers.${name}`, message: `must contain "${expected}"` })
+		}
+	})
+
+	if (rule.schema !== null) {
+		const validate = compileSchema(rule.schema)
+		if (!validate(validatedBody(body))) errors.push(...validate.errors.map(schemaError))
+	}
+
+	return {
+		valid: errors.length === 0,
+		rule: rule.name || `Rule ${index + 1}`,
+		errors: errors.slice(0, MAX_CONTRACT_ERRORS)
+	}
+}
+
+// Summarize contract results ({ timestamp, valid, errors }, oldest first) into overall and per-bucket
+// pass rates, plus the most common errors
+function summarizeContracts(results, bucket = 'day') {
+	const size = SUMMARY_BUCKETS[bucket]
+	const buckets = new Map() // Bucket start time -> counts
+	const errors = new Map() // "<path> <message>" -> { path, message, count }
+	let passed = 0
+
+	results.forEach(result => {
+		const start = Math.floor(new Date(result.timestamp).getTime() / size) * size
+		if (!buckets.has(start)) buckets.set(start, { start: new Date(start).toISOString(), checked: 0, passed: 0, failed: 0 })
+
+		const counts = buckets.get(start)
+		counts.checked++
+		if (result.valid) {
+			counts.passed++
+			passed++
+		} else {
+			counts.failed++
+		}
+
+		result.errors.forEach(({ path, message }) => {
+			const key = `${path} ${message}`
+			if (!errors.has(key)) errors.set(key, { path, message, count: 0 })
+			errors.get(key).count++
+		})
+	})
+
+	const rate = counts => (counts.checked ? counts.passed / counts.checked : null)
+
+	return {
+		checked: results.length,
+		passed,
+		failed: results.length - passed,
+		rate: rate({ checked: results.length, passed }),
+		bucket,
+		buckets: [...buckets.values()].map(counts => ({ ...counts, rate: rate(counts) })),
+		errors: [...errors.values()].sort((a, b) => b.count - a.count).slice(0, MAX_SUMMARY_ERRORS)
+	}
+}
+
+module.exports = { SUMMARY_BUCKETS, parseContractSettings, checkContract, summarizeContracts }
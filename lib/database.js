@@ -0,0 +1,416 @@
+const sqlite3 = require('sqlite3').verbose()
+
+// Columns added to the requests table after its original schema, created on older databases as needed
+const REQUEST_COLUMNS = {
+	rawBody: 'BLOB',
+	bodySize: 'INTEGER',
+	contentType: 'TEXT',
+	contentEncoding: 'TEXT',
+	signatureValid: 'INTEGER',
+	signatureReason: 'TEXT',
+	fault: 'TEXT',
+	contractValid: 'INTEGER',
+	contractRule: 'TEXT',
+	contractErrors: 'TEXT',
+	script: 'TEXT',
+	attachments: 'TEXT',
+	remoteAddress: 'TEXT',
+	responseStatus: 'INTEGER',
+	remotePort: 'INTEGER',
+	httpVersion: 'TEXT',
+	tlsProtocol: 'TEXT',
+	tlsCipher: 'TEXT',
+	receiveTime: 'INTEGER',
+	rejected: 'TEXT',
+	parseError: 'TEXT'
+}
+
+// Columns added to the table describing a URL (metadata in URL databases, urls in the shared one)
+const URL_COLUMNS = {
+	alias: 'TEXT'
+}
+
+// Create or upgrade the schema of a URL database, resolving with its path
+function initDatabase(dbPath) {
+	const db = new sqlite3.Database(dbPath)
+
+	return new Promise((resolve, reject) => {
+		db.serialize(() => {
+			db.run(`CREATE TABLE IF NOT EXISTS metadata (name TEXT)`, err => {
+				if (err) return reject(err)
+			})
+
+			db.run(`CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT)`, err => {
+				if (err) return reject(err)
+			})
+
+			db.run(`CREATE TABLE IF NOT EXISTS store (key TEXT PRIMARY KEY, value TEXT)`, err => {
+				if (err) return reject(err)
+			})
+
+			db.run(`CREATE TABLE IF NOT EXISTS rejections (reason TEXT PRIMARY KEY, count INTEGER, lastRejected TEXT)`, err => {
+				if (err) return reject(err)
+			})
+
+			db.run(
+				`CREATE TABLE IF NOT EXISTS attachments (
+					logNumber INTEGER,
+					attachment INTEGER,
+					content BLOB,
+					PRIMARY KEY (logNumber, attachment)
+				)`,
+				err => {
+					if (err) return reject(err)
+				}
+			)
+
+			db.run(
+				`CREATE TABLE IF NOT EXISTS responses (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					method TEXT,
+					subPath TEXT,
+					status INTEGER DEFAULT 200,
+					headers TEXT,
+					body TEXT,
+					delay INTEGER DEFAULT 0,
+					enabled INTEGER DEFAULT 1
+				)`,
+				err => {
+					if (err) return reject(err)
+				}
+			)
+
+			db.run(
+				`CREATE TABLE IF NOT EXISTS replays (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					logNumber INTEGER,
+					timestamp TEXT,
+					target TEXT,
+					status INTEGER,
+					headers TEXT,
+					body TEXT,
+					latency INTEGER,
+					error TEXT
+				)`,
+				err => {
+					if (err) return reject(err)
+				}
+			)
+
+			db.run(
+				`CREATE TABLE IF NOT EXISTS forwards (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					logNumber INTEGER,
+					timestamp TEXT,
+					target TEXT,
+					attempt INTEGER,
+					status INTEGER,
+					headers TEXT,
+					body TEXT,
+					latency INTEGER,
+					error TEXT
+				)`,
+				err => {
+					if (err) return reject(err)
+				}
+			)
+
+			db.run(
+				`CREATE TABLE IF NOT EXISTS notifications (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					logNumber INTEGER,
+					timestamp TEXT,
+					rule TEXT,
+					action TEXT,
+					target TEXT,
+					outcome TEXT,
+					detail TEXT,
+					latency INTEGER,
+					error TEXT
+				)`,
+				err => {
+					if (err) return reject(err)
+				}
+			)
+
+			db.run(
+				`CREATE TABLE IF NOT EXISTS requests (
+					logNumber INTEGER PRIMARY KEY AUTOINCREMENT,
+					timestamp TEXT,
+					method TEXT,
+					url TEXT,
+					headers TEXT,
+					body TEXT
+				)`,
+				err => {
+					if (err) return reject(err)
+
+					addMissingColumns(db, 'requests', REQUEST_COLUMNS)
+						.then(() => addMissingColumns(db, 'metadata', URL_COLUMNS))
+						.then(() => ensureSearchIndex(db))
+						.then(() => {
+							db.close()
+							resolve(dbPath)
+						}, reject)
+				}
+			)
+		})
+	})
+}
+
+// Add any columns introduced since a table was created, so older databases keep working
+function addMissingColumns(db, table, columns) {
+	return new Promise((resolve, reject) => {
+		db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+			if (err) return reject(err)
+
+			const existing = rows.map(row => row.name)
+			const missing = Object.keys(columns).filter(name => !existing.includes(name))
+			if (!missing.length) return resolve()
+
+			db.serialize(() => {
+				missing.forEach((name, index) => {
+					db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${columns[name]}`, err => {
+						if (err) return reject(err)
+						if (index === missing.length - 1) resolve()
+					})
+				})
+			})
+		})
+	})
+}
+
+// Create the full-text index over request bodies and the triggers that keep it current.
+// Databases created before the index existed are indexed once when it is first added.
+function ensureSearchIndex(db) {
+	return new Promise((resolve, reject) => {
+		db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'requests_fts'`, (err, existing) => {
+			if (err) return reject(err)
+
+			db.serialize(() => {
+				db.run(`CREATE INDEX IF NOT EXISTS requests_timestamp ON requests (timestamp)`)
+				db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS requests_fts USING fts5(body, rawBody, content='requests', content_rowid='logNumber')`)
+				db.run(
+					`CREATE TRIGGER IF NOT EXISTS requests_fts_insert AFTER INSERT ON requests BEGIN
+						INSERT INTO requests_fts (rowid, body, rawBody) VALUES (new.logNumber, new.body, new.rawBody);
+					END`
+				)
+				db.run(
+					`CREATE TRIGGER IF NOT EXISTS requests_fts_delete AFTER DELETE ON requests BEGIN
+						INSERT INTO requests_fts (requests_fts, rowid, body, rawBody) VALUES ('delete', old.logNumber, old.body, old.rawBody);
+					END`
+				)
+				// Only changes to the bodies touch the index; databases from before that replace the trigger that ran on every update
+				db.run(`DROP TRIGGER IF EXISTS requests_fts_update`)
+				db.run(
+					`CREATE TRIGGER IF NOT EXISTS requests_fts_update_body AFTER UPDATE OF body, rawBody ON requests BEGIN
+						INSERT INTO requests_fts (requests_fts, rowid, body, rawBody) VALUES ('delete', old.logNumber, old.body, old.rawBody);
+						INSERT INTO requests_fts (rowid, body, rawBody) VALUES (new.logNumber, new.body, new.rawBody);
+					END`,
+					err => {
+						if (err) return reject(err)
+						if (existing) return resolve()
+
+						db.run(`INSERT INTO requests_fts (requests_fts) VALUES ('rebuild')`, err => {
+							if (err) return reject(err)
+							resolve()
+						})
+					}
+				)
+			})
+		})
+	})
+}
+
+// Create the schema of the shared database, which holds every URL with a guid column on each table.
+// Requests get their own rowid (id) so the full-text index can cover all URLs at once.
+function initSharedDatabase(dbPath) {
+	const db = new sqlite3.Database(dbPath)
+
+	return new Promise((resolve, reject) => {
+		db.exec(
+			`CREATE TABLE IF NOT EXISTS urls (
+				guid TEXT PRIMARY KEY,
+				name TEXT,
+				created TEXT,
+				modified TEXT,
+				lastLogNumber INTEGER DEFAULT 0
+			);
+			CREATE TABLE IF NOT EXISTS settings (guid TEXT, key TEXT, value TEXT, PRIMARY KEY (guid, key));
+			CREATE TABLE IF NOT EXISTS store (guid TEXT, key TEXT, value TEXT, PRIMARY KEY (guid, key));
+			CREATE TABLE IF NOT EXISTS rejections (guid TEXT, reason TEXT, count INTEGER, lastRejected TEXT, PRIMARY KEY (guid, reason));
+			CREATE TABLE IF NOT EXISTS attachments (
+				guid TEXT,
+				logNumber INTEGER,
+				attachment INTEGER,
+				content BLOB,
+				PRIMARY KEY (guid, logNumber, attachment)
+			);
+			CREATE TABLE IF NOT EXISTS responses (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				guid TEXT,
+				method TEXT,
+				subPath TEXT,
+				status INTEGER DEFAULT 200,
+				headers TEXT,
+				body TEXT,
+				delay INTEGER DEFAULT 0,
+				enabled INTEGER DEFAULT 1
+			);
+			CREATE TABLE IF NOT EXISTS replays (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				guid TEXT,
+				logNumber INTEGER,
+				timestamp TEXT,
+				target TEXT,
+				status INTEGER,
+				headers TEXT,
+				body TEXT,
+				latency INTEGER,
+				error TEXT
+			);
+			CREATE TABLE IF NOT EXISTS forwards (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				guid TEXT,
+				logNumber INTEGER,
+				timestamp TEXT,
+				target TEXT,
+				attempt INTEGER,
+				status INTEGER,
+				headers TEXT,
+				body TEXT,
+				latency INTEGER,
+				error TEXT
+			);
+			CREATE TABLE IF NOT EXISTS notifications (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				guid TEXT,
+				logNumber INTEGER,
+				timestamp TEXT,
+				rule TEXT,
+				action TEXT,
+				target TEXT,
+				outcome TEXT,
+				detail TEXT,
+				latency INTEGER,
+				error TEXT
+			);
+			CREATE TABLE IF NOT EXISTS requests (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				guid TEXT,
+				logNumber INTEGER,
+				timestamp TEXT,
+				method TEXT,
+				url TEXT,
+				headers TEXT,
+				body TEXT,
+				${Object.entries(REQUEST_COLUMNS).map(([name, type]) => `${name} ${type}`).join(',\n\t\t\t\t')},
+				UNIQUE (guid, logNumber)
+			);
+			CREATE INDEX IF NOT EXISTS requests_timestamp ON requests (guid, timestamp);
+			CREATE INDEX IF NOT EXISTS responses_guid ON responses (guid);
+			CREATE INDEX IF NOT EXISTS replays_log ON replays (guid, logNumber);
+			CREATE INDEX IF NOT EXISTS forwards_log ON forwards (guid, logNumber);
+			CREATE INDEX IF NOT EXISTS notifications_log ON notifications (guid, logNumber);
+			CREATE VIRTUAL TABLE IF NOT EXISTS requests_fts USING fts5(body, rawBody, content='requests', content_rowid='id');
+			CREATE TRIGGER IF NOT EXISTS requests_fts_insert AFTER INSERT ON requests BEGIN
+				INSERT INTO requests_fts (rowid, body, rawBody) VALUES (new.id, new.body, new.rawBody);
+			END;
+			CREATE TRIGGER IF NOT EXISTS requests_fts_delete AFTER DELETE ON requests BEGIN
+				INSERT INTO requests_fts (requests_fts, rowid, body, rawBody) VALUES ('delete', old.id, old.body, old.rawBody);
+			END;
+			-- Only changes to the bodies touch the index; databases from before that replace the trigger that ran on every update
+			DROP TRIGGER IF EXISTS requests_fts_update;
+			CREATE TRIGGER IF NOT EXISTS requests_fts_update_body AFTER UPDATE OF body, rawBody ON requests BEGIN
+				INSERT INTO requests_fts (requests_fts, rowid, body, rawBody) VALUES ('delete', old.id, old.body, old.rawBody);
+				INSERT INTO requests_fts (rowid, body, rawBody) VALUES (new.id, new.body, new.rawBody);
+			END;`,
+			err => {
+				if (err) {
+					db.close()
+					return reject(err)
+				}
+
+				addMissingColumns(db, 'requests', REQUEST_COLUMNS)
+					.then(() => addMissingColumns(db, 'urls', URL_COLUMNS))
+					.then(() => new Promise((done, fail) => {
+						// Created after the column, which older databases only just gained
+						db.run(`CREATE UNIQUE INDEX IF NOT EXISTS urls_alias ON urls (alias)`, err => (err ? fail(err) : done()))
+					}))
+					.then(() => {
+						db.close()
+						resolve(dbPath)
+					}, reject)
+			}
+		)
+	})
+}
+
+// Open a connection that waits for other connections' locks instead of failing straight away
+function openDatabase(dbPath) {
+	return new Promise((resolve, reject) => {
+		const db = new sqlite3.Database(dbPath, err => {
+			if (err) return reject(err)
+			db.configure('busyTimeout', 5000)
+			resolve(db)
+		})
+	})
+}
+
+// Promise wrappers around the callback API; run resolves with { lastID, changes }
+function run(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.run(sql, params, function(err) {
+			if (err) return reject(err)
+			resolve(this)
+		})
+	})
+}
+
+function get(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)))
+	})
+}
+
+function all(db, sql, params = []) {
+	return new Promise((resolve, reject) => {
+		db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))
+	})
+}
+
+// Convert a stored request row into the shape returned by the API
+function formatLog(row) {
+	return {
+		logNumber: row.logNumber,
+		timestamp: row.timestamp,
+		method: row.method,
+		url: row.url,
+		headers: JSON.parse(row.headers),
+		body: JSON.parse(row.body),
+		rawBody: row.rawBody ? Buffer.from(row.rawBody).toString('base64') : null,
+		bodySize: row.bodySize,
+		contentType: row.contentType,
+		contentEncoding: row.contentEncoding,
+		signature: row.signatureValid === null || row.signatureValid === undefined
+			? null
+			: { valid: Boolean(row.signatureValid), reason: row.signatureReason },
+		fault: row.fault ? JSON.parse(row.fault) : null,
+		contract: row.contractValid === null || row.contractValid === undefined
+			? null
+			: { valid: Boolean(row.contractValid), rule: row.contractRule, errors: JSON.parse(row.contractErrors || '[]') },
+		script: row.script ? JSON.parse(row.script) : null,
+		attachments: row.attachments ? JSON.parse(row.attachments) : [],
+		remoteAddress: row.remoteAddress || null,
+		responseStatus: row.responseStatus || null,
+		remotePort: row.remotePort || null,
+		httpVersion: row.httpVersion || null,
+		tlsProtocol: row.tlsProtocol || null,
+		tlsCipher: row.tlsCipher || null,
+		receiveTime: row.receiveTime === null || row.receiveTime === undefined ? null : row.receiveTime,
+		rejected: row.rejected ? JSON.parse(row.rejected) : null,
+		parseError: row.parseError || null
+	}
+}
+
+module.exports = { initDatabase, initSharedDatabase, openDatabase, run, get, all, formatLog }
@@ -0,0 +1,142 @@
+const { pathAfterGuid } = require('./outbound')
+
+// Parts of a log that are compared, in the order they are reported
+const DIFF_SECTIONS = ['request', 'headers', 'query', 'body']
+
+// Most ignore patterns a URL may keep
+const MAX_IGNORE_PATTERNS = 100
+
+// Turn one segment of an ignore pattern into a regex, where * matches any run of characters
+function segmentPattern(segment) {
+	const escaped = segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+	return new RegExp(`^${escaped}$`)
+}
+
+// Compile an ignore pattern such as "headers.x-request-id", "body.*.createdAt" or "body.**.timestamp".
+// Segments are separated by dots; * matches within a segment and ** matches any number of segments.
+// Header names are matched case-insensitively, as they are stored in lowercase.
+function compileIgnore(pattern) {
+	const headers = pattern.startsWith('headers.')
+	return pattern.split('.').map((segment, index) => {
+		if (segment === '**') return segment
+		return segmentPattern(headers && index > 0 ? segment.toLowerCase() : segment)
+	})
+}
+
+// Whether a compiled pattern matches a path (a list of segments) exactly
+function patternMatches(pattern, path) {
+	if (!pattern.length) return !path.length
+	if (pattern[0] === '**') {
+		return path.some((segment, index) => patternMatches(pattern.slice(1), path.slice(index))) || patternMatches(pattern.slice(1), [])
+	}
+	return path.length > 0 && pattern[0].test(String(path[0])) && patternMatches(pattern.slice(1), path.slice(1))
+}
+
+// Validate and normalize a diff setting ({ ignore: [...] }, or one pattern per line), throwing on bad input.
+// Returns null when nothing is ignored.
+function parseDiffSettings(input) {
+	let ignore = input && input.ignore
+	if (typeof ignore === 'string') ignore = ignore.split(/[\n,]/)
+	if (ignore && !Array.isArray(ignore)) throw new Error('Ignore must be a list of field paths')
+
+	ignore = [...new Set((ignore || []).map(pattern => String(pattern).trim()).filter(Boolean))]
+	if (!ignore.length) return null
+	if (ignore.length > MAX_IGNORE_PATTERNS) throw new Error(`At most ${MAX_IGNORE_PATTERNS} ignored fields are allowed`)
+
+	ignore.forEach(pattern => {
+		if (!DIFF_SECTIONS.includes(pattern.split('.')[0])) {
+			throw new Error(`Ignored field "${pattern}" must start with one of: ${DIFF_SECTIONS.join(', ')}`)
+		}
+	})
+
+	return { ignore }
+}
+
+// Query parameters of a logged URL as an object, with repeated parameters as arrays
+function queryOf(url) {
+	const query = {}
+	new URL(url, 'http://localhost').searchParams.forEach((value, name) => {
+		if (!(name in query)) query[name] = value
+		else query[name] = [].concat(query[name], value)
+	})
+	return query
+}
+
+// The body to compare: the parsed body when it is structured data, otherwise the raw bytes as text
+function bodyOf(log) {
+	const parsed = log.body
+	const isBuffer = parsed && parsed.type === 'Buffer' && Array.isArray(parsed.data)
+	if (parsed !== null && typeof parsed === 'object' && !isBuffer) return parsed
+	return log.rawBody ? Buffer.from(log.rawBody, 'base64').toString('utf8') : ''
+}
+
+// The comparable parts of a log (in the API shape), one per section
+function comparable(log) {
+	return {
+		request: { method: log.method, path: pathAfterGuid(log.url).split('?')[0] || '/' },
+		headers: log.headers || {},
+		query: queryOf(log.url),
+		body: bodyOf(log)
+	}
+}
+
+function isContainer(value) {
+	return value !== null && typeof value === 'object'
+}
+
+// Walk two values side by side, collecting { path, kind, before, after } for every difference.
+// Objects are compared key by key and arrays index by index; ignored paths count towards ignored.
+function compare(before, after, path, ignore, result) {
+	if (ignore.some(pattern => patternMatches(pattern, path))) {
+		if (JSON.stringify(before) !== JSON.stringify(after)) result.ignored++
+		return
+	}
+
+	if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+		const keys = Array.isArray(before)
+			? Array.from({ length: Math.max(before.length, after.length) }, (value, index) => index)
+			: [...new Set([...Object.keys(before), ...Object.keys(after)])]
+
+		keys.forEach(key => {
+			const inBefore = Object.prototype.hasOwnProperty.call(before, key)
+			const inAfter = Object.prototype.hasOwnProperty.call(after, key)
+			const childPath = [...path, String(key)]
+
+			if (inBefore && inAfter) return compare(before[key], after[key], childPath, ignore, result)
+			if (ignore.some(pattern => patternMatches(pattern, childPath))) return result.ignored++
+
+			result.changes.push(inBefore
+				? { path: childPath.join('.'), kind: 'removed', before: before[key] }
+				: { path: childPath.join('.'), kind: 'added', after: after[key] })
+		})
+		return
+	}
+
+	if (JSON.stringify(before) !== JSON.stringify(after)) {
+		result.changes.push({ path: path.join('.'), kind: 'changed', before, after })
+	}
+}
+
+// Compare two logs (in the API shape) section by section, skipping fields matched by the ignore patterns.
+// Returns { changes: { request, headers, query, body }, ignored, identical }, where each change is
+// { path, kind: 'added' | 'removed' | 'changed', before, after } with a dotted path such as "body.items.0.id".
+function diffLogs(left, right, ignorePatterns = []) {
+	const ignore = ignorePatterns.map(compileIgnore)
+	const before = comparable(left)
+	const after = comparable(right)
+	const changes = {}
+	let ignored = 0
+	let count = 0
+
+	DIFF_SECTIONS.forEach(section => {
+		const result = { changes: [], ignored: 0 }
+		compare(before[section], after[section], [section], ignore, result)
+		changes[section] = result.changes
+		ignored += result.ignored
+		count += result.changes.length
+	})
+
+	return { changes, ignored, identical: count === 0 }
+}
+
+module.exports = { DIFF_SECTIONS, parseDiffSettings, diffLogs }
@@ -0,0 +1,167 @@
+const { HOP_BY_HOP_HEADERS } = require('./outbound')
+
+// Export formats, with their content type and file extension
+const EXPORT_FORMATS = {
+	har: { contentType: 'application/json', extension: 'har' },
+	jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+	csv: { contentType: 'text/csv', extension: 'csv' },
+	curl: { contentType: 'text/x-shellscript', extension: 'sh' },
+	bundle: { contentType: 'application/json', extension: 'wbhook.json' }
+}
+
+// Decode a log's raw body (base64, as returned by the API) into text,
+// or return null when it isn't valid UTF-8
+function rawBodyText(log) {
+	if (!log.rawBody) return ''
+
+	const text = Buffer.from(log.rawBody, 'base64').toString('utf8')
+	return Buffer.from(text, 'utf8').toString('base64') === log.rawBody ? text : null
+}
+
+// Headers worth reproducing when the request is sent again
+function replayableHeaders(headers) {
+	return Object.entries(headers || {}).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name.toLowerCase()))
+}
+
+// The full URL a log was captured at, keeping any path the base URL has (such as a proxy's prefix)
+function captureUrl(log, baseUrl) {
+	return /^[a-z][a-z\d+.-]*:/i.test(log.url) ? new URL(log.url) : new URL(baseUrl.replace(/\/+$/, '') + log.url)
+}
+
+// HTTP Archive 1.2 (http://www.softwareishard.com/blog/har-12-spec/)
+function toHar(logs, baseUrl) {
+	const entries = logs.map(log => {
+		const url = captureUrl(log, baseUrl)
+		const text = rawBodyText(log)
+		const request = {
+			method: log.method,
+			url: url.toString(),
+			httpVersion: log.httpVersion ? `HTTP/${log.httpVersion}` : 'HTTP/1.1',
+			cookies: [],
+			headers: Object.entries(log.headers || {}).map(([name, value]) => ({ name, value: String(value) })),
+			queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+			headersSize: -1,
+			bodySize: log.bodySize || 0
+		}
+
+		if (log.rawBody) {
+			request.postData = text === null
+				? { mimeType: log.contentType || 'application/octet-stream', text: log.rawBody, comment: 'base64' }
+				: { mimeType: log.contentType || '', text }
+		}
+
+		return {
+			startedDateTime: log.timestamp,
+			time: log.receiveTime || 0,
+			request,
+			response: {
+				status: log.responseStatus || 0,
+				statusText: '',
+				httpVersion: request.httpVersion,
+				cookies: [],
+				headers: [],
+				content: { size: 0, mimeType: '' },
+				redirectURL: '',
+				headersSize: -1,
+				bodySize: -1
+			},
+			cache: {},
+			timings: { send: log.receiveTime || 0, wait: 0, receive: 0 }, // Sending is what we saw of the request
+			comment: `wb-hook log #${log.logNumber}`
+		}
+	})
+
+	return JSON.stringify({ log: { version: '1.2', creator: { name: 'wb-hook', version: '1.0.0' }, entries } }, null, 2)
+}
+
+// One log per line, in the same shape as the /logs/:guid API
+function toJsonl(logs) {
+	return logs.map(log => JSON.stringify(log)).join('\n') + (logs.length ? '\n' : '')
+}
+
+// Quote a CSV field per RFC 4180
+function csvField(value) {
+	const text = value === null || value === undefined ? '' : String(value)
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCsv(logs) {
+	const columns = ['logNumber', 'timestamp', 'method', 'url', 'contentType', 'contentEncoding', 'bodySize', 'headers', 'body']
+	const rows = logs.map(log => {
+		const text = rawBodyText(log)
+		return [
+			log.logNumber,
+			log.timestamp,
+			log.method,
+			log.url,
+			log.contentType,
+			log.contentEncoding,
+			log.bodySize,
+			JSON.stringify(log.headers),
+			text === null ? log.rawBody : text
+		].map(csvField).join(',')
+	})
+
+	return [columns.join(','), ...rows].join('\r\n') + '\r\n'
+}
+
+// Quote a value for a POSIX shell
+function shellQuote(value) {
+	return `'${String(value).replace(/'/g, `'\\''`)}'`
+}
+
+// A shell script with one cURL command per log, sending the exact captured bytes
+function toCurl(logs, baseUrl) {
+	const commands = logs.map(log => {
+		const args = ['curl', '-sS', '-X', log.method, shellQuote(captureUrl(log, baseUrl).toString())]
+		replayableHeaders(log.headers).forEach(([name, value]) => {
+			args.push('-H', shellQuote(`${name}: ${value}`))
+		})
+
+		const comment = `# Log #${log.logNumber} captured ${log.timestamp}`
+		if (!log.rawBody) return `${comment}\n${args.join(' ')}`
+
+		const text = rawBodyText(log)
+		if (text !== null) return `${comment}\n${args.join(' ')} --data-binary ${shellQuote(text)}`
+
+		// Binary bodies are decoded from base64 and piped in unchanged
+		return `${comment}\nprintf '%s' ${shellQuote(log.rawBody)} | base64 -d | ${args.join(' ')} --data-binary @-`
+	})
+
+	return `#!/bin/sh\n\n${commands.join('\n\n')}\n`
+}
+
+// A complete copy of a URL (name, settings, mock responses and logs) that can be imported again
+function toBundle(logs, { guid, name, settings, responses }) {
+	return JSON.stringify({
+		format: 'wb-hook-bundle',
+		version: 1,
+		exported: new Date().toISOString(),
+		guid,
+		name,
+		settings,
+		responses,
+		requests: logs
+	}, null, 2)
+}
+
+// Render logs (as returned by the API) in an export format. Bundles also need
+// the URL's { guid, name, settings, responses }.
+function exportLogs(format, logs, baseUrl, url = {}) {
+	switch (format) {
+		case 'har':
+			return toHar(logs, baseUrl)
+		case 'jsonl':
+			return toJsonl(logs)
+		case 'csv':
+			return toCsv(logs)
+		case 'curl':
+			return toCurl(logs, baseUrl)
+		case 'bundle':
+			return toBundle(logs, url)
+		default:
+			throw new Error(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+	}
+}
+
+module.exports = { EXPORT_FORMATS, exportLogs }
@@ -0,0 +1,331 @@
+const { SETTINGS } = require('./settings')
+const { parseResponseRule } = require('./mock-responses')
+
+const IMPORT_FORMATS = ['legacy', 'jsonl', 'har', 'bundle']
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const METHOD_PATTERN = /^[A-Z]+$/
+
+// Guess the format of an import file from its contents
+function detectFormat(text) {
+	const trimmed = text.trim()
+	if (!trimmed) throw new Error('The import file is empty')
+
+	let data
+	try {
+		data = JSON.parse(trimmed)
+	} catch (err) {
+		return 'jsonl' // Several JSON documents, one per line
+	}
+
+	if (data && data.format === 'wb-hook-bundle') return 'bundle'
+	if (data && data.log && Array.isArray(data.log.entries)) return 'har'
+	if (data && Array.isArray(data.requests)) return 'legacy'
+	if (data && data.method && data.url) return 'jsonl' // A single log on one line
+
+	throw new Error(`Could not detect the import format; pass one of: ${IMPORT_FORMATS.join(', ')}`)
+}
+
+// The first path segment of a logged URL, if it looks like a GUID
+function guidFromUrl(url) {
+	const segment = String(url || '').split(/[/?]/)[1]
+	return GUID_PATTERN.test(segment || '') ? segment.toLowerCase() : null
+}
+
+// Point a logged URL at the target GUID. URLs captured by wb-hook start with their own GUID,
+// which is replaced; any other path (e.g. from a HAR recorded elsewhere) is kept as the subPath.
+function rewriteUrl(url, guid) {
+	const rest = guidFromUrl(url) ? url.replace(/^\/[^/?]+/, '') : url
+	return `/${guid}${rest === '/' ? '' : rest}`
+}
+
+// Turn a HAR header list into the lowercase object shape Node gives req.headers
+function harHeaders(list) {
+	const headers = {}
+	;(list || []).forEach(({ name, value }) => {
+		headers[String(name).toLowerCase()] = value
+	})
+	return headers
+}
+
+// Parse a HAR request body the way the body parsers would have
+function parseHarBody(postData) {
+	if (!postData || !postData.text || postData.comment === 'base64') return {}
+
+	const mimeType = postData.mimeType || ''
+	try {
+		if (mimeType.includes('json')) return JSON.parse(postData.text)
+		if (mimeType.includes('x-www-form-urlencoded')) return Object.fromEntries(new URLSearchParams(postData.text))
+	} catch (err) {
+		return {}
+	}
+	return mimeType.startsWith('text/') ? postData.text : {}
+}
+
+// Convert one HAR entry into a log in the API shape
+function fromHarEntry(entry) {
+	const request = entry.request || {}
+	const url = new URL(request.url, 'http://localhost')
+	const postData = request.postData
+	const headers = harHeaders(request.headers)
+	const rawBody = postData && postData.text
+		? Buffer.from(postData.text, postData.comment === 'base64' ? 'base64' : 'utf8').toString('base64')
+		: null
+
+	return {
+		logNumber: (/wb-hook log #(\d+)/.exec(entry.comment || '') || [])[1],
+		timestamp: entry.startedDateTime,
+		method: request.method,
+		url: url.pathname + url.search,
+		headers,
+		body: parseHarBody(postData),
+		rawBody,
+		contentType: headers['content-type'] || null,
+		contentEncoding: headers['content-encoding'] || null,
+		responseStatus: (entry.response && entry.response.status) || null,
+		httpVersion: /^HTTP\/([\d.]+)$/i.test(request.httpVersion || '') ? request.httpVersion.slice(5) : null
+	}
+}
+
+// Validate one log and convert it into a row for the requests table; throws on bad input
+function toRecord(log) {
+	if (!log || typeof log !== 'object') throw new Error('Not an object')
+
+	const method = String(log.method || '').toUpperCase()
+	if (!METHOD_PATTERN.test(method)) throw new Error('Missing or invalid method')
+
+	if (typeof log.url !== 'string' || !log.url.startsWith('/')) throw new Error('url must be a path starting with /')
+
+	const date = new Date(log.timestamp)
+	if (!log.timestamp || isNaN(date)) throw new Error('Missing or invalid timestamp')
+
+	if (log.headers !== undefined && (typeof log.headers !== 'object' || Array.isArray(log.headers) || log.headers === null)) {
+		throw new Error('headers must be an object')
+	}
+
+	let logNumber = null
+	if (log.logNumber !== undefined && log.logNumber !== null) {
+		logNumber = Number(log.logNumber)
+		if (!Number.isInteger(logNumber) || logNumber < 1) throw new Error('logNumber must be a positive integer')
+	}
+
+	const rawBody = log.rawBody ? Buffer.from(log.rawBody, 'base64') : null
+	return {
+		logNumber,
+		timestamp: log.timestamp, // Kept exactly as exported
+		method,
+		url: log.url,
+		headers: log.headers || {},
+		body: log.body === undefined ? {} : log.body,
+		rawBody,
+		bodySize: log.bodySize !== undefined && log.bodySize !== null ? log.bodySize : (rawBody ? rawBody.length : null),
+		contentType: log.contentType || null,
+		contentEncoding: log.contentEncoding || null,
+		remoteAddress: log.remoteAddress ? String(log.remoteAddress) : null,
+		responseStatus: Number.isInteger(log.responseStatus) ? log.responseStatus : null,
+		remotePort: Number.isInteger(log.remotePort) ? log.remotePort : null,
+		httpVersion: log.httpVersion ? String(log.httpVersion) : null,
+		tlsProtocol: log.tlsProtocol ? String(log.tlsProtocol) : null,
+		tlsCipher: log.tlsCipher ? String(log.tlsCipher) : null,
+		receiveTime: Number.isInteger(log.receiveTime) ? log.receiveTime : null
+	}
+}
+
+// Parse an import file into { format, name, sourceGuid, total, records, settings, responses, errors }.
+// Invalid rows are reported in errors (with their 1-based position) rather than thrown.
+function parseImport(text, format = detectFormat(text)) {
+	if (!IMPORT_FORMATS.includes(format)) {
+		throw new Error(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`)
+	}
+
+	let logs = []
+	const lines = [] // Line number of each JSONL log, so errors point at the right line
+	let name = null
+	let sourceGuid = null
+	let settings = null
+	let responses = null
+	const errors = []
+
+	if (format === 'jsonl') {
+		text.split(/\r?\n/).forEach((line, index) => {
+			if (!line.trim()) return
+			lines.push(index + 1)
+			try {
+				logs.push(JSON.parse(line))
+			} catch (err) {
+				errors.push({ row: index + 1, message: `Invalid JSON: ${err.message}` })
+				logs.push(undefined)
+			}
+		})
+	} else {
+		let data
+		try {
+			data = JSON.parse(text)
+		} catch (err) {
+			throw new Error(`Invalid JSON: ${err.message}`)
+		}
+
+		if (format === 'har') {
+			if (!data.log || !Array.isArray(data.log.entries)) throw new Error('Not a HAR file: missing log.entries')
+			logs = data.log.entries.map(entry => {
+				try {
+					return fromHarEntry(entry)
+				} catch (err) {
+					return { invalid: err.message }
+				}
+			})
+		} else {
+			if (!Array.isArray(data.requests)) throw new Error('Missing requests array')
+			logs = data.requests
+			name = typeof data.name === 'string' ? data.name : null
+		}
+
+		if (format === 'bundle') {
+			sourceGuid = GUID_PATTERN.test(data.guid || '') ? data.guid.toLowerCase() : null
+			settings = data.settings || null
+			responses = Array.isArray(data.responses) ? data.responses : null
+		}
+	}
+
+	const records = []
+	logs.forEach((log, index) => {
+		if (log === undefined) return // Already reported as invalid JSON
+
+		const row = format === 'jsonl' ? lines[index] : index + 1
+		try {
+			if (log && log.invalid) throw new Error(log.invalid)
+			records.push({ ...toRecord(log), row })
+		} catch (err) {
+			errors.push({ row, message: err.message })
+		}
+	})
+
+	if (!sourceGuid && records.length) sourceGuid = guidFromUrl(records[0].url)
+
+	// Log numbers must be unique within the file
+	const seen = new Set()
+	records.forEach(record => {
+		if (record.logNumber === null) return
+		if (seen.has(record.logNumber)) errors.push({ row: record.row, message: `Duplicate logNumber ${record.logNumber}` })
+		seen.add(record.logNumber)
+	})
+
+	errors.sort((a, b) => a.row - b.row)
+	return { format, name, sourceGuid, total: logs.length, records, settings, responses, errors }
+}
+
+// Check a bundle's settings and mock responses as the settings and responses routes would, returning them
+// normalized and adding an error (without a row) for each one that doesn't pass
+function checkBundleSettings(parsed, errors) {
+	const settings = {}
+	const values = parsed.settings || {}
+	if (typeof values !== 'object' || Array.isArray(values)) {
+		errors.push({ row: null, message: 'settings must be an object' })
+	} else {
+		Object.entries(values).forEach(([key, value]) => {
+			if (!SETTINGS.hasOwnProperty(key)) return errors.push({ row: null, message: `Unknown setting: ${key}` })
+			if (value === null) return
+
+			try {
+				const setting = SETTINGS[key](value)
+				if (setting !== null) settings[key] = setting
+			} catch (err) {
+				errors.push({ row: null, message: `Setting ${key}: ${err.message}` })
+			}
+		})
+	}
+
+	const rules = parsed.responses || []
+	const responses = []
+	rules.forEach((rule, index) => {
+		try {
+			if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error('must be an object')
+			responses.push(parseResponseRule(rule))
+		} catch (err) {
+			errors.push({ row: null, message: `Response ${index + 1}: ${err.message}` })
+		}
+	})
+
+	return { settings, responses }
+}
+
+// Import a file into a URL through the storage backend, all at once or not at all.
+// Options: format (detected when omitted), guid (target; defaults to the file's own GUID unless
+// newGuid is set), newGuid, generateGuid (used when a new GUID is needed), mustExist (fail if the
+// target doesn't exist), name (for a newly created URL), preserveLogNumbers (default true) and dryRun.
+// Resolves with a summary report; nothing is written unless summary.errors is empty.
+async function runImport(storage, text, options = {}) {
+	const parsed = parseImport(text, options.format || undefined)
+	const preserveLogNumbers = options.preserveLogNumbers !== false
+	const guid = (options.guid || (!options.newGuid && parsed.sourceGuid) || options.generateGuid()).toLowerCase()
+	const exists = Boolean(await storage.getUrl(guid))
+
+	const summary = {
+		guid,
+		format: parsed.format,
+		created: false, // Set once a new URL has been written
+		dryRun: Boolean(options.dryRun),
+		total: parsed.total,
+		imported: 0,
+		firstLogNumber: null,
+		lastLogNumber: null,
+		errors: parsed.errors
+	}
+
+	if (options.mustExist && !exists) {
+		summary.errors = [{ row: null, message: `URL ${guid} does not exist` }]
+		return summary
+	}
+
+	if (!parsed.records.length && !parsed.errors.length) {
+		summary.errors = [{ row: null, message: 'The import contains no requests' }]
+		return summary
+	}
+
+	// Check log numbers against what's already stored
+	if (exists && preserveLogNumbers) {
+		const numbers = parsed.records.filter(record => record.logNumber !== null).map(record => record.logNumber)
+		const conflicts = new Set(await storage.findLogNumbers(guid, numbers))
+		parsed.records.forEach(record => {
+			if (conflicts.has(record.logNumber)) {
+				summary.errors.push({ row: record.row, message: `logNumber ${record.logNumber} already exists` })
+			}
+		})
+	}
+
+	// A bundle restored into a new URL brings its settings and mock responses along
+	const restored = exists ? null : checkBundleSettings(parsed, summary.errors)
+
+	if (summary.errors.length || summary.dryRun) {
+		if (!summary.errors.length) summary.imported = parsed.records.length
+		return summary
+	}
+
+	const logs = parsed.records.map(({ row, ...record }) => ({
+		...record,
+		logNumber: preserveLogNumbers ? record.logNumber : null,
+		url: rewriteUrl(record.url, guid)
+	}))
+
+	try {
+		const logNumbers = exists
+			? await storage.addLogs(guid, logs)
+			: await storage.restoreUrl({
+				guid,
+				name: options.name || parsed.name || 'Untitled',
+				settings: restored.settings,
+				responses: restored.responses,
+				requests: logs
+			})
+
+		summary.created = !exists
+		summary.imported = logNumbers.length
+		summary.firstLogNumber = logNumbers[0]
+		summary.lastLogNumber = logNumbers[logNumbers.length - 1]
+	} catch (err) {
+		summary.errors.push({ row: null, message: err.message })
+	}
+
+	return summary
+}
+
+module.exports = { IMPORT_FORMATS, detectFormat, parseImport, runImport }
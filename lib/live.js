@@ -0,0 +1,223 @@
+const { WebSocketServer } = require('ws')
+const { parseLogFilter, matchesLogFilter } = require('./log-filter')
+
+// Most logs replayed to a subscriber catching up on one URL; past this it gets a resync event instead
+const MAX_CATCH_UP = 1000
+
+// Most URLs a WebSocket subscription may list (subscribe to "*" for all of them)
+const MAX_SUBSCRIBED_GUIDS = 100
+
+// How often WebSocket connections are pinged, to keep them open through proxies and drop dead ones
+const KEEP_ALIVE_INTERVAL = 15000
+
+// Host of an Origin header, or null if it has none (such as "null" from a sandboxed page)
+function originHost(origin) {
+	try {
+		return new URL(origin).host
+	} catch (err) {
+		return null
+	}
+}
+
+// Live feed of changes, pushed to subscribers over Server-Sent Events (/logs-stream/:guid) and WebSockets.
+// Events are:
+//   { type: 'log', guid, log }                   A request was captured (log in the API shape)
+//   { type: 'logs-deleted', guid, logNumbers }   Logs were deleted; logNumbers is null when all of them were
+//   { type: 'url-created', guid, name }, { type: 'url-renamed', guid, name }, { type: 'url-deleted', guid }
+//   { type: 'url-aliased', guid, alias }        A URL's alias was set, changed or removed (alias null)
+//   { type: 'resync', guid }                     Too much changed to replay; reload the URL's logs
+// A subscriber is { guids: Set of GUIDs or null for every readable URL, principal, filter, send(event) }.
+function createLiveFeed({ storage, auth }) {
+	const subscribers = new Set()
+
+	// Whether a subscriber follows a URL at all
+	function follows(subscriber, guid) {
+		if (subscriber.guids) return subscriber.guids.has(guid)
+		return !subscriber.readable || subscriber.readable.has(guid)
+	}
+
+	// Send an event to a subscriber if it wants it, holding it back while the subscriber is still catching up
+	function deliver(subscriber, event) {
+		if (subscriber.pending) return subscriber.pending.push(event)
+		if (!follows(subscriber, event.guid)) return
+
+		if (event.type === 'log') {
+			if (!matchesLogFilter(subscriber.filter, event.guid, event.log)) return
+			if (event.log.logNumber <= (subscriber.caughtUp[event.guid] || 0)) return // Already replayed
+		}
+		subscriber.send(event)
+	}
+
+	// Send an event to every subscriber that wants it
+	function publish(event) {
+		subscribers.forEach(subscriber => {
+			// A new URL may have been made by a user following everything they can read
+			if (event.type === 'url-created' && subscriber.readable) {
+				auth.readableGuids(subscriber.principal).then(readable => {
+					subscriber.readable = readable
+					deliver(subscriber, event)
+				}, err => console.error('Error checking live feed access:', err))
+			} else {
+				deliver(subscriber, event)
+			}
+		})
+	}
+
+	// Replay the logs of a URL newer than since, or ask for a resync if there are too many
+	async function catchUp(subscriber, guid, since) {
+		const logs = await storage.listLogs(
+			guid,
+			{ ...subscriber.filter, cursor: undefined, since },
+			{ oldestFirst: true, limit: MAX_CATCH_UP + 1 }
+		)
+		if (!logs) return
+
+		if (logs.length > MAX_CATCH_UP) {
+			subscriber.send({ type: 'resync', guid })
+		} else {
+			logs.forEach(log => subscriber.send({ type: 'log', guid, log }))
+		}
+		subscriber.caughtUp[guid] = logs.length ? logs[Math.min(logs.length, MAX_CATCH_UP) - 1].logNumber : since
+	}
+
+	// Register a subscriber, first catching it up on logs newer than since ({ guid: logNumber }).
+	// Returns a function that unsubscribes it.
+	function subscribe(subscriber, since = {}) {
+		subscriber.caughtUp = {}
+		subscriber.pending = []
+		subscribers.add(subscriber)
+
+		const guids = Object.keys(since).filter(guid => follows(subscriber, guid))
+		guids.reduce((previous, guid) => previous.then(() => catchUp(subscriber, guid, since[guid])), Promise.resolve())
+			.catch(err => console.error('Error catching up live feed subscriber:', err))
+			.then(() => {
+				const pending = subscriber.pending
+				subscriber.pending = null
+				pending.forEach(event => deliver(subscriber, event))
+			})
+
+		return () => subscribers.delete(subscriber)
+	}
+
+	// Validate a WebSocket subscribe message, resolving with the subscriber and its catch-up points.
+	// { type: 'subscribe', guids: [...] or '*', since: { guid: logNumber }, filter: { same as /logs/:guid } }
+	async function parseSubscription(message, principal, send) {
+		const readable = await auth.readableGuids(principal) // Null when every URL is readable
+		const all = message.guids === '*'
+		const guids = all ? null : message.guids
+
+		if (!all) {
+			if (!Array.isArray(guids) || !guids.length) throw new Error('guids must be a list of GUIDs or "*"')
+			if (guids.length > MAX_SUBSCRIBED_GUIDS) throw new Error(`At most ${MAX_SUBSCRIBED_GUIDS} GUIDs can be listed; use "*" for all`)
+
+			for (const guid of guids) {
+				// Don't reveal URLs the user can't see
+				if (typeof guid !== 'string' || (readable && !readable.has(guid)) || !(await storage.getUrl(guid))) {
+					throw new Error(`Not found: ${guid}`)
+				}
+			}
+		}
+
+		const since = {}
+		Object.entries(message.since || {}).forEach(([guid, logNumber]) => {
+			since[guid] = parseLogFilter({ since: logNumber }).since
+		})
+
+		const subscriber = {
+			guids: all ? null : new Set(guids),
+			readable: all ? readable : null,
+			principal,
+			filter: parseLogFilter(message.filter || {}),
+			send
+		}
+		return { subscriber, since }
+	}
+
+	// Handle one WebSocket connection: a subscribe message (re)places its subscription, unsubscribe ends it
+	function connection(ws, principal) {
+		let unsubscribe = null
+		const send = event => {
+			if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event))
+		}
+
+		ws.isAlive = true
+		ws.on('pong', () => {
+			ws.isAlive = true
+		})
+
+		ws.on('message', async data => {
+			let message
+			try {
+				message = JSON.parse(data)
+			} catch (err) {
+				return send({ type: 'error', message: 'Messages must be JSON' })
+			}
+
+			if (message.type === 'unsubscribe') {
+				if (unsubscribe) unsubscribe()
+				unsubscribe = null
+				return send({ type: 'unsubscribed' })
+			}
+
+			if (message.type !== 'subscribe') return send({ type: 'error', message: `Unknown message type: ${message.type}` })
+
+			let subscription
+			try {
+				subscription = await parseSubscription(message, principal, send)
+			} catch (err) {
+				return send({ type: 'error', message: err.message })
+			}
+			if (ws.readyState !== ws.OPEN) return
+
+			if (unsubscribe) unsubscribe()
+			send({ type: 'subscribed', guids: message.guids })
+			unsubscribe = subscribe(subscription.subscriber, subscription.since)
+		})
+
+		ws.on('close', () => {
+			if (unsubscribe) unsubscribe()
+		})
+	}
+
+	// Accept WebSocket connections at a path on the app's HTTP server, authenticated like any other request
+	function attach(server, path) {
+		const wss = new WebSocketServer({ noServer: true })
+
+		server.on('upgrade', async (req, socket, head) => {
+			const reject = status => socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`)
+			if (new URL(req.url, 'http://localhost').pathname !== path) return reject('404 Not Found')
+
+			// Browsers send cookies with WebSocket requests from any site, so only accept our own pages
+			if (req.headers.origin && originHost(req.headers.origin) !== req.headers.host) return reject('403 Forbidden')
+
+			let principal = null
+			try {
+				if (await auth.isEnabled()) {
+					principal = await auth.identify(req)
+					if (!principal) return reject('401 Unauthorized')
+				}
+			} catch (err) {
+				console.error('Error authenticating live feed connection:', err)
+				return reject('500 Internal Server Error')
+			}
+
+			wss.handleUpgrade(req, socket, head, ws => connection(ws, principal))
+		})
+
+		// Drop connections that didn't answer the last ping
+		const keepAlive = setInterval(() => {
+			wss.clients.forEach(ws => {
+				if (!ws.isAlive) return ws.terminate()
+				ws.isAlive = false
+				ws.ping()
+			})
+		}, KEEP_ALIVE_INTERVAL)
+		wss.on('close', () => clearInterval(keepAlive))
+
+		return wss
+	}
+
+	return { publish, subscribe, attach }
+}
+
+module.exports = { createLiveFeed }
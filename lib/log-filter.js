@@ -0,0 +1,167 @@
+// Page size limits for log listings
+const DEFAULT_PAGE_SIZE = 100
+const MAX_PAGE_SIZE = 1000
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']
+
+// Contract check outcomes logs can be filtered by
+const CONTRACT_OUTCOMES = ['passed', 'failed']
+
+// Parse a timestamp query parameter into an ISO string, throwing if it isn't a date
+function parseTimestamp(value, name) {
+	const date = new Date(value)
+	if (isNaN(date)) throw new Error(`${name} must be a valid date`)
+	return date.toISOString()
+}
+
+// Whether a timestamp falls between from and to (either may be missing). Compared as times rather than text,
+// since imported logs can have timestamps with offsets or without milliseconds; logFilterSql does the same with julianday.
+function inTimeRange(timestamp, { from, to }) {
+	const time = new Date(timestamp).getTime()
+	return (!from || time >= new Date(from).getTime()) && (!to || time <= new Date(to).getTime())
+}
+
+// Escape LIKE wildcards so user input only matches literally
+function escapeLike(value) {
+	return value.replace(/[\\%_]/g, match => `\\${match}`)
+}
+
+// Validate and normalize log filter query parameters, throwing on bad input.
+// Supported: method, subPath (prefix), header, headerValue (substring), q (full text), contract (passed or failed),
+// from, to, cursor, since, limit.
+// cursor pages back through older logs (logNumber below it); since catches up on newer ones (logNumber above it).
+function parseLogFilter(query) {
+	const filter = {}
+
+	if (query.method) {
+		filter.method = String(query.method).toUpperCase()
+		if (!METHODS.includes(filter.method)) {
+			throw new Error(`Method must be one of: ${METHODS.join(', ')}`)
+		}
+	}
+
+	if (query.subPath) filter.subPath = String(query.subPath).replace(/^\/+/, '')
+	if (query.header) filter.header = String(query.header).toLowerCase()
+	if (query.headerValue) {
+		if (!filter.header) throw new Error('headerValue requires header')
+		filter.headerValue = String(query.headerValue)
+	}
+
+	if (query.q) filter.q = String(query.q).trim()
+
+	if (query.contract) {
+		filter.contract = String(query.contract)
+		if (!CONTRACT_OUTCOMES.includes(filter.contract)) {
+			throw new Error(`contract must be one of: ${CONTRACT_OUTCOMES.join(', ')}`)
+		}
+	}
+
+	if (query.from) filter.from = parseTimestamp(query.from, 'from')
+	if (query.to) filter.to = parseTimestamp(query.to, 'to')
+
+	if (query.cursor) {
+		filter.cursor = Number(query.cursor)
+		if (!Number.isInteger(filter.cursor) || filter.cursor < 1) throw new Error('cursor must be a log number')
+	}
+
+	if (query.since !== undefined && query.since !== '') {
+		filter.since = Number(query.since)
+		if (!Number.isInteger(filter.since) || filter.since < 0) throw new Error('since must be a log number')
+	}
+
+	filter.limit = query.limit ? Number(query.limit) : DEFAULT_PAGE_SIZE
+	if (!Number.isInteger(filter.limit) || filter.limit < 1 || filter.limit > MAX_PAGE_SIZE) {
+		throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`)
+	}
+
+	return filter
+}
+
+// Build the WHERE conditions (to be joined with AND) and their parameters for a parsed filter against the requests table
+function logFilterSql(filter, guid) {
+	const clauses = []
+	const params = []
+
+	if (filter.method) {
+		clauses.push('method = ?')
+		params.push(filter.method)
+	}
+
+	if (filter.subPath) {
+		clauses.push(`url LIKE ? ESCAPE '\\'`)
+		params.push(`/${escapeLike(guid)}/${escapeLike(filter.subPath)}%`)
+	}
+
+	if (filter.header) {
+		const headerPath = `$."${filter.header.replace(/"/g, '')}"`
+		if (filter.headerValue) {
+			clauses.push('instr(json_extract(headers, ?), ?) > 0')
+			params.push(headerPath, filter.headerValue)
+		} else {
+			clauses.push('json_extract(headers, ?) IS NOT NULL')
+			params.push(headerPath)
+		}
+	}
+
+	if (filter.q) {
+		// Quote the search as a single FTS5 phrase so punctuation isn't read as query syntax
+		clauses.push('rowid IN (SELECT rowid FROM requests_fts WHERE requests_fts MATCH ?)')
+		params.push(`"${filter.q.replace(/"/g, '""')}"`)
+	}
+
+	if (filter.contract) {
+		clauses.push('contractValid = ?')
+		params.push(filter.contract === 'passed' ? 1 : 0)
+	}
+
+	if (filter.from) {
+		clauses.push('julianday(timestamp) >= julianday(?)')
+		params.push(filter.from)
+	}
+
+	if (filter.to) {
+		clauses.push('julianday(timestamp) <= julianday(?)')
+		params.push(filter.to)
+	}
+
+	if (filter.cursor) {
+		clauses.push('logNumber < ?')
+		params.push(filter.cursor)
+	}
+
+	if (filter.since !== undefined) {
+		clauses.push('logNumber > ?')
+		params.push(filter.since)
+	}
+
+	return { clauses, params }
+}
+
+// Check a single log (in the API shape, as pushed to SSE clients) against a parsed filter, mirroring logFilterSql.
+// Full-text matching is approximated with a case-insensitive substring search.
+function matchesLogFilter(filter, guid, log) {
+	if (!filter) return true
+	if (filter.method && log.method !== filter.method) return false
+	if (filter.subPath && !log.url.startsWith(`/${guid}/${filter.subPath}`)) return false
+
+	if (filter.header) {
+		const value = log.headers[filter.header]
+		if (value === undefined) return false
+		if (filter.headerValue && !String(value).includes(filter.headerValue)) return false
+	}
+
+	if (filter.q) {
+		const raw = log.rawBody ? Buffer.from(log.rawBody, 'base64').toString('utf8') : ''
+		const text = `${JSON.stringify(log.body)} ${raw}`.toLowerCase()
+		if (!text.includes(filter.q.toLowerCase())) return false
+	}
+
+	if (filter.contract && (!log.contract || log.contract.valid !== (filter.contract === 'passed'))) return false
+	if (!inTimeRange(log.timestamp, filter)) return false
+	if (filter.cursor && log.logNumber >= filter.cursor) return false
+	if (filter.since !== undefined && log.logNumber <= filter.since) return false
+
+	return true
+}
+
+module.exports = { parseLogFilter, logFilterSql, matchesLogFilter, inTimeRange }
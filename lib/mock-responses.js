@@ -0,0 +1,116 @@
+const { v4: uuidv4 } = require('uuid')
+
+// Longest delay a rule may request, in milliseconds
+const MAX_RESPONSE_DELAY = 60000
+
+// Characters allowed in an HTTP header name (RFC 7230 tokens)
+const HEADER_NAME = /^[!#$%&'*+.^`|~\w-]+$/
+
+// Normalize a subPath so "/foo/", "foo" and "foo/" compare equal
+function normalizeSubPath(subPath) {
+	return (subPath || '').replace(/^\/+|\/+$/g, '')
+}
+
+// Check whether a rule's method and subPath patterns match the incoming request.
+// An empty method or subPath matches anything, and a subPath ending in "*" matches as a prefix.
+function ruleMatches(rule, method, subPath) {
+	if (rule.method && rule.method !== '*' && rule.method.toUpperCase() !== method.toUpperCase()) {
+		return false
+	}
+
+	const pattern = normalizeSubPath(rule.subPath)
+	if (!pattern || pattern === '*') return true
+
+	const target = normalizeSubPath(subPath)
+	if (pattern.endsWith('*')) {
+		return target.startsWith(pattern.slice(0, -1))
+	}
+
+	return target === pattern
+}
+
+// Return the first enabled rule matching the request, or null if none does
+function matchResponseRule(rules, method, subPath) {
+	return rules.find(rule => rule.enabled && ruleMatches(rule, method, subPath)) || null
+}
+
+// Look up a dotted path (e.g. "body.user.id") in a context object
+function lookup(context, keyPath) {
+	return keyPath.split('.').reduce((value, key) => {
+		return value !== undefined && value !== null ? value[key] : undefined
+	}, context)
+}
+
+// Replace {{placeholders}} in a body template with values from the request context.
+// "{{uuid}}" generates a fresh v4 UUID on each use.
+function renderTemplate(template, context) {
+	if (!template) return ''
+
+	return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, keyPath) => {
+		if (keyPath === 'uuid') return uuidv4()
+
+		const value = lookup(context, keyPath)
+		if (value === undefined || value === null) return ''
+		return typeof value === 'object' ? JSON.stringify(value) : String(value)
+	})
+}
+
+// Guess a content type for a rendered body when the rule doesn't set one
+function guessContentType(body) {
+	try {
+		JSON.parse(body)
+		return 'application/json'
+	} catch (err) {
+		return 'text/plain'
+	}
+}
+
+// Validate and normalize a rule submitted through the API, throwing on bad input
+function parseResponseRule(input) {
+	const rule = {
+		method: input.method ? String(input.method).toUpperCase() : null,
+		subPath: input.subPath ? String(input.subPath) : null,
+		status: input.status === undefined || input.status === '' ? 200 : Number(input.status),
+		headers: input.headers || {},
+		body: input.body === undefined || input.body === null ? '' : String(input.body),
+		delay: input.delay === undefined || input.delay === '' ? 0 : Number(input.delay),
+		enabled: input.enabled === undefined ? 1 : (input.enabled ? 1 : 0)
+	}
+
+	if (!Number.isInteger(rule.status) || rule.status < 100 || rule.status > 599) {
+		throw new Error('Status must be an integer between 100 and 599')
+	}
+
+	if (!Number.isInteger(rule.delay) || rule.delay < 0 || rule.delay > MAX_RESPONSE_DELAY) {
+		throw new Error(`Delay must be an integer between 0 and ${MAX_RESPONSE_DELAY} ms`)
+	}
+
+	if (typeof rule.headers === 'string') {
+		try {
+			rule.headers = rule.headers.trim() ? JSON.parse(rule.headers) : {}
+		} catch (err) {
+			throw new Error('Headers must be a JSON object')
+		}
+	}
+
+	if (typeof rule.headers !== 'object' || Array.isArray(rule.headers)) {
+		throw new Error('Headers must be a JSON object')
+	}
+
+	Object.entries(rule.headers).forEach(([name, value]) => {
+		if (!HEADER_NAME.test(name)) throw new Error(`Invalid header name: ${name}`)
+		if (typeof value !== 'string' || /[\r\n]/.test(value)) throw new Error(`Header ${name} must be a string on one line`)
+	})
+
+	return rule
+}
+
+module.exports = {
+	MAX_RESPONSE_DELAY,
+	HEADER_NAME,
+	ruleMatches,
+	matchResponseRule,
+	renderTemplate,
+	guessContentType,
+	parseResponseRule
+}
@@ -0,0 +1,111 @@
+const zlib = require('zlib')
+const busboy = require('busboy')
+
+// Most form fields read from one request, and longest value kept for each
+const MAX_FIELDS = 1000
+const MAX_FIELD_SIZE = 1024 * 1024
+
+// Content encodings a multipart body can be decoded from, as body-parser does for the other types
+const DECODERS = {
+	gzip: zlib.gunzipSync,
+	'x-gzip': zlib.gunzipSync,
+	deflate: zlib.inflateSync,
+	br: zlib.brotliDecompressSync
+}
+
+// Whether a Content-Type header is for a multipart form
+function isMultipart(contentType) {
+	return /^multipart\/form-data\b/i.test(contentType || '')
+}
+
+// Add a form value under its field name, turning repeated names into arrays
+function addField(body, name, value) {
+	if (!Object.prototype.hasOwnProperty.call(body, name)) body[name] = value
+	else body[name] = [].concat(body[name], value)
+}
+
+// Parse a multipart/form-data body from its raw bytes, resolving with { body, attachments }.
+// The body holds the form fields, with each uploaded file as { filename, contentType, size, attachment, truncated }
+// under its field name. Attachments are { attachment, field, filename, contentType, size, truncated, content },
+// numbered from 1 in the order they arrived. Files past maxFiles are dropped, and content past maxFileSize is
+// cut off (marking the file truncated). A compressed body that inflates past maxBodySize isn't parsed: it resolves
+// with no fields and the reason as error. Rejects if the body can't be decoded or isn't valid multipart.
+function parseMultipart(rawBody, headers, { maxFileSize, maxFiles, maxBodySize }) {
+	return new Promise((resolve, reject) => {
+		const encoding = String(headers['content-encoding'] || 'identity').toLowerCase()
+		let data = rawBody
+		if (encoding !== 'identity') {
+			if (!DECODERS[encoding]) return reject(new Error(`Unsupported content encoding: ${encoding}`))
+			try {
+				data = DECODERS[encoding](rawBody, maxBodySize ? { maxOutputLength: maxBodySize } : {})
+			} catch (err) {
+				if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+					return resolve({ body: {}, attachments: [], error: `Decoded ${encoding} body is over the ${maxBodySize} byte limit` })
+				}
+				return reject(new Error(`Could not decode ${encoding} body`))
+			}
+		}
+
+		let parser
+		try {
+			parser = busboy({
+				headers: { 'content-type': headers['content-type'] },
+				limits: { fields: MAX_FIELDS, fieldSize: MAX_FIELD_SIZE, files: maxFiles, fileSize: maxFileSize }
+			})
+		} catch (err) {
+			return reject(new Error(`Invalid multipart body: ${err.message}`))
+		}
+
+		const body = {}
+		const attachments = []
+		const pending = []
+
+		parser.on('field', (name, value) => addField(body, name, value))
+
+		parser.on('file', (field, stream, info) => {
+			const attachment = {
+				attachment: attachments.length + 1,
+				field,
+				filename: info.filename || null,
+				contentType: info.mimeType || 'application/octet-stream',
+				size: 0,
+				truncated: false,
+				content: null
+			}
+			attachments.push(attachment)
+
+			const chunks = []
+			pending.push(new Promise(done => {
+				stream.on('data', chunk => chunks.push(chunk))
+				stream.on('limit', () => {
+					attachment.truncated = true
+				})
+				stream.on('close', () => {
+					attachment.content = Buffer.concat(chunks)
+					attachment.size = attachment.content.length
+					done()
+				})
+			}))
+		})
+
+		parser.on('error', err => reject(new Error(`Invalid multipart body: ${err.message}`)))
+		parser.on('close', () => {
+			Promise.all(pending).then(() => {
+				attachments.forEach(({ content, ...file }) => {
+					addField(body, file.field, {
+						filename: file.filename,
+						contentType: file.contentType,
+						size: file.size,
+						attachment: file.attachment,
+						truncated: file.truncated
+					})
+				})
+				resolve({ body, attachments, error: null })
+			})
+		})
+
+		parser.end(data)
+	})
+}
+
+module.exports = { isMultipart, parseMultipart }
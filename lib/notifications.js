@@ -0,0 +1,257 @@
+const path = require('path')
+const { execFile } = require('child_process')
+const { ruleMatches } = require('./mock-responses')
+const { pathAfterGuid, sendRequest } = require('./outbound')
+const { parseDuration } = require('./retention')
+const { sendMail } = require('./smtp')
+
+const NOTIFICATION_ACTIONS = ['webhook', 'email', 'command']
+
+// Limits on what a notifications setting may ask for
+const MAX_NOTIFICATION_RULES = 20
+const MAX_RATE_LIMIT = 1000
+
+// How long a webhook or hook script may take, in milliseconds
+const NOTIFICATION_TIMEOUT = 10000
+
+// Captured bodies longer than this are cut short in emails
+const MAX_EMAIL_BODY = 10000
+
+// Hook scripts are named by file, without any path
+const HOOK_NAME = /^\w[\w.-]*$/
+const EMAIL_ADDRESS = /^[^\s@<>,]+@[^\s@<>,]+$/
+
+// Split a JSON path such as "$.data.items[0].id" into its keys
+function parseJsonPath(jsonPath) {
+	const keys = String(jsonPath).replace(/^\$\.?/, '').match(/[^.[\]]+/g)
+	if (!keys) throw new Error('JSON path must name at least one key, such as data.type')
+	return keys
+}
+
+// Read the value at a JSON path in a parsed body, or undefined if it isn't there
+function valueAtPath(body, keys) {
+	return keys.reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), body)
+}
+
+// Validate and normalize one notification rule
+function parseNotificationRule(input, index) {
+	const prefix = `Rule ${index + 1}: `
+	try {
+		const rule = {
+			name: input.name ? String(input.name).trim() : null,
+			method: input.method ? String(input.method).toUpperCase() : null,
+			subPath: input.subPath ? String(input.subPath) : null,
+			header: input.header ? String(input.header).toLowerCase() : null,
+			headerValue: input.headerValue ? String(input.headerValue) : null,
+			jsonPath: input.jsonPath ? String(input.jsonPath).trim() : null,
+			jsonValue: input.jsonValue !== undefined && input.jsonValue !== null && input.jsonValue !== '' ? String(input.jsonValue) : null,
+			action: input.action ? String(input.action) : 'webhook',
+			target: input.target ? String(input.target).trim() : '',
+			rateLimit: input.rateLimit === undefined || input.rateLimit === '' ? 10 : Number(input.rateLimit),
+			// Kept in seconds, which is how a plain number is read, so saved rules can be submitted again unchanged
+			rateWindow: Math.round(parseDuration(input.rateWindow === undefined || input.rateWindow === '' ? '1m' : input.rateWindow, 'Rate window') / 1000)
+		}
+
+		if (rule.headerValue && !rule.header) throw new Error('Header value requires a header')
+		if (rule.jsonPath) parseJsonPath(rule.jsonPath)
+		if (rule.jsonValue !== null && !rule.jsonPath) throw new Error('JSON value requires a JSON path')
+
+		if (!NOTIFICATION_ACTIONS.includes(rule.action)) {
+			throw new Error(`Action must be one of: ${NOTIFICATION_ACTIONS.join(', ')}`)
+		}
+
+		if (rule.action === 'webhook') {
+			let url
+			try {
+				url = new URL(rule.target)
+			} catch (err) {
+				throw new Error('Webhook target must be a URL')
+			}
+			if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Webhook target must use http or https')
+		} else if (rule.action === 'email') {
+			const addresses = rule.target.split(',').map(address => address.trim()).filter(Boolean)
+			if (!addresses.length || !addresses.every(address => EMAIL_ADDRESS.test(address))) {
+				throw new Error('Email target must be one or more addresses, separated by commas')
+			}
+			rule.target = addresses.join(', ')
+		} else if (!HOOK_NAME.test(rule.target)) {
+			throw new Error('Command target must be the file name of a script in the hooks directory')
+		}
+
+		if (!Number.isInteger(rule.rateLimit) || rule.rateLimit < 1 || rule.rateLimit > MAX_RATE_LIMIT) {
+			throw new Error(`Rate limit must be an integer between 1 and ${MAX_RATE_LIMIT}`)
+		}
+		if (rule.rateWindow < 1) throw new Error('Rate window must be at least a second')
+
+		return rule
+	} catch (err) {
+		throw new Error(prefix + err.message)
+	}
+}
+
+// Validate and normalize notification settings ({ rules: [...] }), throwing on bad input.
+// Returns null when there are no rules, which turns notifications off.
+function parseNotificationSettings(input) {
+	const rules = input && input.rules
+	if (!rules || (Array.isArray(rules) && !rules.length)) return null
+	if (!Array.isArray(rules)) throw new Error('Rules must be a list')
+	if (rules.length > MAX_NOTIFICATION_RULES) throw new Error(`At most ${MAX_NOTIFICATION_RULES} rules are allowed`)
+
+	return { rules: rules.map(parseNotificationRule) }
+}
+
+// Check a logged request (in the API shape) against a rule's method, subPath, header and JSON body filters
+function notificationMatches(rule, log) {
+	const subPath = pathAfterGuid(log.url).split('?')[0]
+	if (!ruleMatches(rule, log.method, subPath)) return false
+
+	if (rule.header) {
+		const value = log.headers[rule.header]
+		if (value === undefined) return false
+		if (rule.headerValue && !String(value).includes(rule.headerValue)) return false
+	}
+
+	if (rule.jsonPath) {
+		const value = valueAtPath(log.body, parseJsonPath(rule.jsonPath))
+		if (value === undefined) return false
+		if (rule.jsonValue !== null) {
+			const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value)
+			if (text !== rule.jsonValue) return false
+		}
+	}
+
+	return true
+}
+
+// Plain-text summary of a logged request for emails
+function describeLog(guid, log) {
+	const raw = log.rawBody ? Buffer.from(log.rawBody, 'base64').toString('utf8') : ''
+	const body = raw.length > MAX_EMAIL_BODY ? `${raw.slice(0, MAX_EMAIL_BODY)}\n[${raw.length - MAX_EMAIL_BODY} more characters]` : raw
+
+	return [
+		`Log #${log.logNumber} received by ${guid} at ${log.timestamp}`,
+		'',
+		`${log.method} ${log.url}`,
+		...Object.entries(log.headers).map(([name, value]) => `${name}: ${value}`),
+		'',
+		body
+	].join('\n')
+}
+
+// Run a hook script with the notification as JSON on stdin, resolving with what it printed
+function runHook(file, payload, env) {
+	return new Promise((resolve, reject) => {
+		const child = execFile(file, [], { env: { ...process.env, ...env }, timeout: NOTIFICATION_TIMEOUT, maxBuffer: 64 * 1024 }, (err, stdout, stderr) => {
+			if (err) return reject(new Error(err.killed ? `Timed out after ${NOTIFICATION_TIMEOUT} ms` : (stderr.trim() || err.message)))
+			resolve(stdout.trim().slice(0, 1000))
+		})
+		child.stdin.on('error', () => {}) // The script may exit without reading its input
+		child.stdin.end(JSON.stringify(payload))
+	})
+}
+
+// Notifications sent when a URL receives a request matching one of its rules, by webhook POST, email through an
+// SMTP relay or a script from the hooks directory. Only scripts the server's operator placed there can be run.
+// Each rule sends at most rateLimit notifications per rateWindow; the rest are recorded as rate-limited.
+// Every attempt is saved to the URL's notification history with storage.addNotification.
+function createNotifier({ storage, smtp, hooksDir }) {
+	const windows = new Map() // "<guid> <rule index>" -> { start, count }
+
+	// Count a notification against its rule's limit, returning false once the current window is used up
+	function allow(guid, index, rule, now) {
+		const key = `${guid} ${index}`
+		let window = windows.get(key)
+		if (!window || now - window.start >= rule.rateWindow * 1000) {
+			window = { start: now, count: 0 }
+			windows.set(key, window)
+		}
+		if (window.count >= rule.rateLimit) return false
+		window.count++
+		return true
+	}
+
+	// Carry out a rule's action, resolving with a short description of the outcome
+	async function deliver(rule, guid, log) {
+		const payload = { event: 'request', guid, rule: rule.name, log }
+
+		if (rule.action === 'webhook') {
+			const body = Buffer.from(JSON.stringify(payload))
+			const result = await sendRequest(
+				{ method: 'POST', url: '', headers: { 'content-type': 'application/json', 'user-agent': 'diy-webhook' }, rawBody: body },
+				rule.target,
+				{ timeout: NOTIFICATION_TIMEOUT }
+			)
+			if (result.error) throw new Error(result.error)
+			if (result.status >= 400) throw new Error(`HTTP ${result.status}`)
+			return `HTTP ${result.status}`
+		}
+
+		if (rule.action === 'email') {
+			return sendMail(smtp, {
+				from: smtp.from,
+				to: rule.target.split(', '),
+				subject: `[diy-webhook] ${rule.name ? `${rule.name}: ` : ''}${log.method} ${log.url}`,
+				text: describeLog(guid, log)
+			})
+		}
+
+		return runHook(path.join(hooksDir, rule.target), payload, {
+			WEBHOOK_GUID: guid,
+			WEBHOOK_LOG_NUMBER: String(log.logNumber),
+			WEBHOOK_METHOD: log.method,
+			WEBHOOK_URL: log.url
+		})
+	}
+
+	// Send the notifications a logged request (in the API shape) calls for, recording each in the history.
+	// Never rejects; failures are recorded rather than thrown.
+	async function notify(guid, log, settings) {
+		if (!settings) return
+
+		await Promise.all(settings.rules.map(async (rule, index) => {
+			if (!notificationMatches(rule, log)) return
+
+			const started = Date.now()
+			const entry = {
+				logNumber: log.logNumber,
+				timestamp: new Date(started).toISOString(),
+				rule: rule.name || `Rule ${index + 1}`,
+				action: rule.action,
+				target: rule.target,
+				outcome: 'sent',
+				detail: null,
+				latency: null,
+				error: null
+			}
+
+			if (!allow(guid, index, rule, started)) {
+				entry.outcome = 'rate-limited'
+			} else {
+				try {
+					entry.detail = await deliver(rule, guid, log)
+				} catch (err) {
+					entry.outcome = 'failed'
+					entry.error = err.message
+				}
+				entry.latency = Date.now() - started
+			}
+
+			try {
+				await storage.addNotification(guid, entry)
+			} catch (err) {
+				console.error(`Error saving notification for log #${log.logNumber} of GUID ${guid}:`, err)
+			}
+		}))
+	}
+
+	// Drop the rate limit windows of a deleted URL
+	function forget(guid) {
+		for (const key of windows.keys()) {
+			if (key.startsWith(`${guid} `)) windows.delete(key)
+		}
+	}
+
+	return { notify, forget }
+}
+
+module.exports = { NOTIFICATION_ACTIONS, parseNotificationSettings, notificationMatches, createNotifier }
@@ -0,0 +1,313 @@
+const { version } = require('../package.json')
+
+// Schema reference, response and parameter helpers, to keep the document below readable
+const ref = name => ({ $ref: `#/components/schemas/${name}` })
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } })
+const error = description => ({ $ref: `#/components/responses/${description}` })
+const query = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', description, schema })
+
+// Filters shared by listing requests and waiting for the next one
+const LOG_FILTERS = [
+	query('method', 'Only requests with this method', { type: 'string', enum: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'] }),
+	query('subPath', 'Only requests whose path after the GUID starts with this'),
+	query('header', 'Only requests with this header'),
+	query('headerValue', 'Only requests whose header (see header) contains this'),
+	query('q', 'Full-text search of the body'),
+	query('contract', 'Only requests that passed or failed their contract check', { type: 'string', enum: ['passed', 'failed'] }),
+	query('from', 'Only requests at or after this time', { type: 'string', format: 'date-time' }),
+	query('to', 'Only requests at or before this time', { type: 'string', format: 'date-time' })
+]
+
+// Describe the API served by lib/api.js as an OpenAPI 3 document. Setting keys are the app's own, so the
+// document lists the settings it actually accepts.
+function createOpenApiDocument({ settingKeys }) {
+	const guid = { name: 'guid', in: 'path', required: true, description: 'The URL\'s GUID', schema: { type: 'string', format: 'uuid' } }
+	const logNumber = { name: 'logNumber', in: 'path', required: true, description: 'The request\'s number within its URL', schema: { type: 'integer', minimum: 1 } }
+	const key = { name: 'key', in: 'path', required: true, description: 'The setting', schema: { type: 'string', enum: settingKeys } }
+
+	return {
+		openapi: '3.0.3',
+		info: {
+			title: 'diy-webhook API',
+			version,
+			description: 'Create webhook URLs, read the requests they captured, wait for the next one, and manage their '
+				+ 'settings. Requests are captured at /<guid>/... (or /<alias>/...), outside this API. When authentication '
+				+ 'is on, sign in or send an API token as a bearer token. Errors are answered as { "error": { "status", "message" } }.'
+		},
+		servers: [{ url: '/api/v1' }],
+		security: [{ bearerToken: [] }, { session: [] }],
+		paths: {
+			'/urls': {
+				get: {
+					summary: 'List the URLs you can read',
+					operationId: 'listUrls',
+					parameters: [query('alias', 'Only list the URL with this alias')],
+					responses: { 200: json('The URLs, oldest first', { type: 'array', items: ref('Url') }), 401: error('Unauthorized') }
+				},
+				post: {
+					summary: 'Create a URL',
+					operationId: 'createUrl',
+					requestBody: { content: { 'application/json': { schema: ref('UrlInput') } } },
+					responses: {
+						201: json('The new URL; its address is in the Location header', ref('Url')),
+						400: error('BadRequest'),
+						401: error('Unauthorized'),
+						409: error('Conflict')
+					}
+				}
+			},
+			'/urls/{guid}': {
+				parameters: [guid],
+				get: {
+					summary: 'Get a URL',
+					operationId: 'getUrl',
+					responses: { 200: json('The URL', ref('Url')), 404: error('NotFound') }
+				},
+				patch: {
+					summary: 'Rename a URL or set its alias',
+					operationId: 'updateUrl',
+					requestBody: { required: true, content: { 'application/json': { schema: ref('UrlInput') } } },
+					responses: { 200: json('The updated URL', ref('Url')), 400: error('BadRequest'), 404: error('NotFound'), 409: error('Conflict') }
+				},
+				delete: {
+					summary: 'Delete a URL and everything captured for it',
+					operationId: 'deleteUrl',
+					responses: { 204: { description: 'Deleted' }, 404: error('NotFound') }
+				}
+			},
+			'/urls/{guid}/requests': {
+				parameters: [guid],
+				get: {
+					summary: 'List captured requests, newest first',
+					operationId: 'listRequests',
+					parameters: [
+						...LOG_FILTERS,
+						query('cursor', 'Only requests before this log number; pass the previous page\'s nextCursor', { type: 'integer', minimum: 1 }),
+						query('since', 'Only requests after this log number', { type: 'integer', minimum: 0 }),
+						query('limit', 'Requests per page', { type: 'integer', minimum: 1, maximum: 1000, default: 100 })
+					],
+					responses: { 200: json('A page of requests', ref('RequestPage')), 400: error('BadRequest'), 404: error('NotFound') }
+				},
+				delete: {
+					summary: 'Delete all captured requests',
+					operationId: 'deleteRequests',
+					responses: { 204: { description: 'Deleted' }, 404: error('NotFound') }
+				}
+			},
+			'/urls/{guid}/requests/wait': {
+				parameters: [guid],
+				get: {
+					summary: 'Wait for the next request matching the filters',
+					description: 'Holds the connection until a matching request is captured, or the timeout passes. Without since, '
+						+ 'only requests captured after the wait begins count; pass the newest log number you have seen as since '
+						+ 'to also get one that arrived in between. The request is returned as soon as it is captured, before it '
+						+ 'is answered, so its responseStatus is null unless it was turned away.',
+					operationId: 'waitForRequest',
+					parameters: [
+						...LOG_FILTERS,
+						query('since', 'Accept requests after this log number (by default, the newest when the wait begins)', { type: 'integer', minimum: 0 }),
+						query('timeout', 'How long to wait, as seconds or a duration such as 30s or 2m; at most 2m', { type: 'string', default: '30s' })
+					],
+					responses: {
+						200: json('The first matching request', ref('Request')),
+						204: { description: 'No matching request arrived in time' },
+						400: error('BadRequest'),
+						404: error('NotFound')
+					}
+				}
+			},
+			'/urls/{guid}/requests/{logNumber}': {
+				parameters: [guid, logNumber],
+				get: {
+					summary: 'Get a captured request',
+					operationId: 'getRequest',
+					responses: { 200: json('The request', ref('Request')), 404: error('NotFound') }
+				},
+				delete: {
+					summary: 'Delete a captured request',
+					operationId: 'deleteRequest',
+					responses: { 204: { description: 'Deleted' }, 404: error('NotFound') }
+				}
+			},
+			'/urls/{guid}/stats': {
+				parameters: [guid],
+				get: {
+					summary: 'Get traffic stats',
+					operationId: 'getStats',
+					parameters: [
+						query('from', 'Count requests at or after this time', { type: 'string', format: 'date-time' }),
+						query('to', 'Count requests at or before this time', { type: 'string', format: 'date-time' }),
+						query('interval', 'Count requests per', { type: 'string', enum: ['minute', 'hour', 'day'], default: 'hour' })
+					],
+					responses: { 200: json('The stats', ref('Stats')), 400: error('BadRequest'), 404: error('NotFound') }
+				}
+			},
+			'/urls/{guid}/settings': {
+				parameters: [guid],
+				get: {
+					summary: 'Get all settings',
+					operationId: 'getSettings',
+					responses: { 200: json('Every setting that is set, by key', ref('Settings')), 404: error('NotFound') }
+				}
+			},
+			'/urls/{guid}/settings/{key}': {
+				parameters: [guid, key],
+				get: {
+					summary: 'Get a setting',
+					operationId: 'getSetting',
+					responses: { 200: json('The setting, or null when it isn\'t set', {}), 404: error('NotFound') }
+				},
+				put: {
+					summary: 'Replace a setting',
+					operationId: 'putSetting',
+					requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } } } },
+					responses: { 200: json('The setting as saved, or null if it was emptied', {}), 400: error('BadRequest'), 404: error('NotFound') }
+				},
+				delete: {
+					summary: 'Clear a setting',
+					operationId: 'deleteSetting',
+					responses: { 204: { description: 'Cleared' }, 404: error('NotFound') }
+				}
+			}
+		},
+		components: {
+			securitySchemes: {
+				bearerToken: { type: 'http', scheme: 'bearer', description: 'An API token' },
+				session: { type: 'apiKey', in: 'cookie', name: 'wb_session' }
+			},
+			responses: {
+				BadRequest: json('The request was invalid', ref('Error')),
+				Unauthorized: json('Authentication is required', ref('Error')),
+				NotFound: json('Not found, or not visible to you', ref('Error')),
+				Conflict: json('The alias is taken', ref('Error'))
+			},
+			schemas: {
+				Error: {
+					type: 'object',
+					required: ['error'],
+					properties: {
+						error: {
+							type: 'object',
+							required: ['status', 'message'],
+							properties: { status: { type: 'integer' }, message: { type: 'string' } }
+						}
+					}
+				},
+				UrlInput: {
+					type: 'object',
+					properties: {
+						name: { type: 'string', default: 'Untitled' },
+						alias: {
+							type: 'string',
+							nullable: true,
+							pattern: '^[a-z0-9][a-z0-9-]{1,62}[a-z0-9]$',
+							description: 'Used in place of the GUID when capturing requests; null removes it'
+						}
+					}
+				},
+				Url: {
+					type: 'object',
+					properties: {
+						guid: { type: 'string', format: 'uuid' },
+						name: { type: 'string' },
+						alias: { type: 'string', nullable: true },
+						created: { type: 'string', format: 'date-time' },
+						modified: { type: 'string', format: 'date-time' },
+						requestCount: { type: 'integer' },
+						firstRequestTime: { type: 'string', format: 'date-time', nullable: true },
+						lastRequestTime: { type: 'string', format: 'date-time', nullable: true },
+						storageBytes: { type: 'integer' },
+						rejectedCount: { type: 'integer', description: 'Requests turned away by the URL\'s restrictions' },
+						rejections: {
+							type: 'object',
+							description: 'Rejected requests by reason (address, method, size or rate)',
+							additionalProperties: {
+								type: 'object',
+								properties: { count: { type: 'integer' }, lastRejected: { type: 'string', format: 'date-time' } }
+							}
+						}
+					}
+				},
+				Request: {
+					type: 'object',
+					properties: {
+						logNumber: { type: 'integer' },
+						timestamp: { type: 'string', format: 'date-time' },
+						method: { type: 'string' },
+						url: { type: 'string', description: 'Path and query string, starting with /<guid>' },
+						headers: { type: 'object', additionalProperties: true },
+						body: { description: 'The body as parsed for its content type' },
+						rawBody: { type: 'string', format: 'byte', nullable: true, description: 'The body as received, base64-encoded' },
+						bodySize: { type: 'integer', nullable: true },
+						contentType: { type: 'string', nullable: true },
+						contentEncoding: { type: 'string', nullable: true },
+						signature: { type: 'object', nullable: true, properties: { valid: { type: 'boolean' }, reason: { type: 'string', nullable: true } } },
+						fault: { type: 'object', nullable: true, description: 'What chaos mode did to the request' },
+						contract: {
+							type: 'object',
+							nullable: true,
+							properties: { valid: { type: 'boolean' }, rule: { type: 'integer' }, errors: { type: 'array', items: { type: 'string' } } }
+						},
+						script: { type: 'object', nullable: true, description: 'The script\'s response, console output and error' },
+						attachments: { type: 'array', items: { type: 'object', additionalProperties: true } },
+						remoteAddress: { type: 'string', nullable: true },
+						remotePort: { type: 'integer', nullable: true },
+						httpVersion: { type: 'string', nullable: true },
+						tlsProtocol: { type: 'string', nullable: true },
+						tlsCipher: { type: 'string', nullable: true },
+						receiveTime: { type: 'integer', nullable: true, description: 'Milliseconds the body took to arrive' },
+						responseStatus: { type: 'integer', nullable: true, description: 'The status the request was answered with; null until it is answered' },
+						rejected: {
+							type: 'object',
+							nullable: true,
+							description: 'Why the request was turned away, for the sample of rejected requests that is logged',
+							properties: { reason: { type: 'string' }, message: { type: 'string' } }
+						},
+						parseError: { type: 'string', nullable: true, description: 'Why the body couldn\'t be parsed; rawBody still holds it' }
+					}
+				},
+				RequestPage: {
+					type: 'object',
+					properties: {
+						requests: { type: 'array', items: ref('Request') },
+						nextCursor: { type: 'integer', nullable: true, description: 'Pass as cursor to get the next page; null on the last one' }
+					}
+				},
+				Settings: {
+					type: 'object',
+					properties: Object.fromEntries(settingKeys.map(setting => [setting, { type: 'object', nullable: true }]))
+				},
+				Stats: {
+					type: 'object',
+					properties: {
+						from: { type: 'string', format: 'date-time', nullable: true },
+						to: { type: 'string', format: 'date-time', nullable: true },
+						interval: { type: 'string' },
+						total: { type: 'integer' },
+						firstRequestTime: { type: 'string', format: 'date-time', nullable: true },
+						lastRequestTime: { type: 'string', format: 'date-time', nullable: true },
+						requests: {
+							type: 'array',
+							items: { type: 'object', properties: { start: { type: 'string', format: 'date-time' }, count: { type: 'integer' } } }
+						},
+						methods: ref('Counts'),
+						subPaths: ref('Counts'),
+						sourceIps: ref('Counts'),
+						userAgents: ref('Counts'),
+						sizes: {
+							type: 'array',
+							items: { type: 'object', properties: { label: { type: 'string' }, count: { type: 'integer' } } }
+						},
+						statuses: ref('Counts')
+					}
+				},
+				Counts: {
+					type: 'array',
+					items: { type: 'object', properties: { value: {}, count: { type: 'integer' } } }
+				}
+			}
+		}
+	}
+}
+
+module.exports = { createOpenApiDocument }
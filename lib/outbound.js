@@ -0,0 +1,96 @@
+// Headers that describe a single connection and must not be copied onto a new request
+const HOP_BY_HOP_HEADERS = [
+	'connection',
+	'content-length',
+	'expect',
+	'host',
+	'keep-alive',
+	'proxy-authenticate',
+	'proxy-authorization',
+	'te',
+	'trailer',
+	'transfer-encoding',
+	'upgrade'
+]
+
+// Default time to wait for a downstream response, in milliseconds
+const OUTBOUND_TIMEOUT = 30000
+
+// Split a logged URL ("/<guid>/sub/path?query") into the part after the GUID
+function pathAfterGuid(url) {
+	const match = /^\/[^/?]+(.*)$/.exec(url || '')
+	return match ? match[1] : ''
+}
+
+// Join a target base URL with a captured subPath and query string
+function buildTargetUrl(target, pathAndQuery) {
+	const base = new URL(target)
+	if (base.protocol !== 'http:' && base.protocol !== 'https:') {
+		throw new Error('Target URL must use http or https')
+	}
+
+	const [subPath, query] = pathAndQuery.split(/\?(.*)/s)
+	if (subPath && subPath !== '/') {
+		base.pathname = base.pathname.replace(/\/+$/, '') + subPath
+	}
+
+	if (query) {
+		base.search = base.search ? `${base.search}&${query}` : `?${query}`
+	}
+
+	return base.toString()
+}
+
+// Copy captured headers, leaving out the ones tied to the original connection
+function outboundHeaders(headers) {
+	const result = {}
+	Object.keys(headers || {}).forEach(name => {
+		if (!HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) result[name] = headers[name]
+	})
+	return result
+}
+
+// Send a captured request to a target and describe what came back.
+// Resolves (never rejects) with { url, status, headers, body, rawBody, latency, error },
+// where body is the response decoded as text and rawBody the same bytes as a Buffer.
+async function sendRequest({ method, url, headers, rawBody }, target, { timeout = OUTBOUND_TIMEOUT } = {}) {
+	const started = Date.now()
+	let targetUrl = target
+
+	try {
+		targetUrl = buildTargetUrl(target, pathAfterGuid(url))
+		const hasBody = !['GET', 'HEAD'].includes(method) && rawBody && rawBody.length
+
+		const response = await fetch(targetUrl, {
+			method,
+			headers: outboundHeaders(headers),
+			body: hasBody ? rawBody : undefined,
+			redirect: 'manual',
+			signal: AbortSignal.timeout(timeout)
+		})
+
+		const responseBody = Buffer.from(await response.arrayBuffer())
+		return {
+			url: targetUrl,
+			status: response.status,
+			headers: Object.fromEntries(response.headers),
+			body: responseBody.toString('utf8'),
+			rawBody: responseBody,
+			latency: Date.now() - started,
+			error: null
+		}
+	} catch (err) {
+		const reason = err.name === 'TimeoutError' ? `Timed out after ${timeout} ms` : (err.cause && err.cause.message) || err.message
+		return {
+			url: targetUrl,
+			status: null,
+			headers: null,
+			body: null,
+			rawBody: null,
+			latency: Date.now() - started,
+			error: reason
+		}
+	}
+}
+
+module.exports = { HOP_BY_HOP_HEADERS, OUTBOUND_TIMEOUT, buildTargetUrl, pathAfterGuid, sendRequest }
@@ -0,0 +1,83 @@
+const { HOP_BY_HOP_HEADERS, OUTBOUND_TIMEOUT, buildTargetUrl, sendRequest } = require('./outbound')
+
+// Limits on what a proxy setting may ask for
+const MAX_RETRIES = 5
+const MAX_BACKOFF = 30000
+
+// Whether a forwarding attempt is worth retrying: network errors, timeouts and 5xx responses
+function shouldRetry(result) {
+	return result.error !== null || result.status >= 500
+}
+
+// Forward a captured request to one upstream, retrying with exponential backoff.
+// Resolves with every attempt made, in order, each numbered from 1 and stamped with its start time.
+async function forwardWithRetry(request, target, { retries = 0, backoff = 500, timeout = OUTBOUND_TIMEOUT } = {}) {
+	const attempts = []
+
+	for (let attempt = 1; attempt <= retries + 1; attempt++) {
+		const timestamp = new Date().toISOString()
+		const result = await sendRequest(request, target, { timeout })
+		attempts.push({ ...result, attempt, timestamp })
+
+		if (!shouldRetry(result) || attempt > retries) break
+		await new Promise(resolve => setTimeout(resolve, backoff * 2 ** (attempt - 1)))
+	}
+
+	return attempts
+}
+
+// Headers from an upstream response that can be passed back to the original caller.
+// The body has already been decoded, so its encoding and length no longer apply.
+function passthroughHeaders(headers) {
+	const result = {}
+	Object.keys(headers || {}).forEach(name => {
+		const lower = name.toLowerCase()
+		if (!HOP_BY_HOP_HEADERS.includes(lower) && lower !== 'content-encoding') result[name] = headers[name]
+	})
+	return result
+}
+
+// Validate and normalize a proxy setting submitted through the API, throwing on bad input.
+// No upstreams turns forwarding off.
+function parseProxySettings(input) {
+	let upstreams = input && input.upstreams
+	if (typeof upstreams === 'string') upstreams = upstreams.split(/\s+/)
+	upstreams = (upstreams || []).map(url => String(url).trim()).filter(Boolean)
+	if (!upstreams.length) return null
+
+	upstreams.forEach(url => {
+		try {
+			buildTargetUrl(url, '')
+		} catch (err) {
+			throw new Error(`Invalid upstream URL: ${url}`)
+		}
+	})
+
+	const settings = {
+		upstreams,
+		respondWith: input.respondWith || 'upstream',
+		retries: input.retries === undefined || input.retries === '' ? 0 : Number(input.retries),
+		backoff: input.backoff === undefined || input.backoff === '' ? 500 : Number(input.backoff),
+		timeout: input.timeout === undefined || input.timeout === '' ? OUTBOUND_TIMEOUT : Number(input.timeout)
+	}
+
+	if (!['upstream', 'mock'].includes(settings.respondWith)) {
+		throw new Error('Respond with must be "upstream" or "mock"')
+	}
+
+	if (!Number.isInteger(settings.retries) || settings.retries < 0 || settings.retries > MAX_RETRIES) {
+		throw new Error(`Retries must be an integer between 0 and ${MAX_RETRIES}`)
+	}
+
+	if (!Number.isInteger(settings.backoff) || settings.backoff < 0 || settings.backoff > MAX_BACKOFF) {
+		throw new Error(`Backoff must be an integer between 0 and ${MAX_BACKOFF} ms`)
+	}
+
+	if (!Number.isInteger(settings.timeout) || settings.timeout < 1 || settings.timeout > OUTBOUND_TIMEOUT) {
+		throw new Error(`Timeout must be an integer between 1 and ${OUTBOUND_TIMEOUT} ms`)
+	}
+
+	return settings
+}
+
+module.exports = { forwardWithRetry, passthroughHeaders, parseProxySettings }
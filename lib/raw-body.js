@@ -0,0 +1,41 @@
+// Largest raw body kept for a single request by default, in bytes
+const RAW_BODY_LIMIT = 10 * 1024 * 1024
+
+// Create middleware that records the exact bytes of the request body as they arrive on the wire,
+// before body-parser decodes or inflates them. It must be registered ahead of the body parsers
+// so both see every chunk. Handlers await `req.rawBody` to get the Buffer once the body ends, after
+// which `req.receiveTime` holds how many milliseconds the body took to arrive. Bodies over limit
+// bytes reject with a 413.
+function captureRawBody({ limit = RAW_BODY_LIMIT } = {}) {
+	return (req, res, next) => {
+		const chunks = []
+		const started = Date.now()
+		let size = 0
+
+		req.rawBody = new Promise((resolve, reject) => {
+			req.on('data', chunk => {
+				size += chunk.length
+				if (size <= limit) chunks.push(chunk)
+			})
+
+			req.on('end', () => {
+				req.receiveTime = Date.now() - started
+				if (size > limit) {
+					const err = new Error('Payload too large')
+					err.status = 413
+					return reject(err)
+				}
+				resolve(Buffer.concat(chunks))
+			})
+
+			req.on('error', reject)
+		})
+
+		// Avoid unhandled rejections for routes that never look at the raw body
+		req.rawBody.catch(() => {})
+
+		next()
+	}
+}
+
+module.exports = { RAW_BODY_LIMIT, captureRawBody }
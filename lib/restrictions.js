@@ -0,0 +1,225 @@
+const net = require('net')
+const { parseSavedDuration, parseSize } = require('./retention')
+
+// Why a request can be turned away, with the status it gets unless the URL sets its own
+const REJECTION_REASONS = {
+	address: 403, // Its address is denied, or not on the allow list
+	method: 405, // Its method isn't allowed
+	size: 413, // Its body is over the size limit
+	rate: 429 // It is over the rate limit
+}
+
+// Limits on what a restrictions setting may ask for
+const MAX_ADDRESS_RULES = 100
+const MAX_RATE = 10000
+
+// Rejection counts are kept in memory and added to storage this often, so a flood doesn't mean a write per request
+const FLUSH_INTERVAL = 5000
+
+// Compiled address lists kept at once, keyed by their JSON; the oldest are dropped beyond this
+const MAX_COMPILED_LISTS = 100
+
+const compiled = new Map() // Address list JSON -> net.BlockList
+
+// Read a list given as an array or as text with one entry per line (or separated by commas)
+function parseList(input) {
+	if (input === undefined || input === null || input === '') return []
+	if (typeof input === 'string') input = input.split(/[\n,]/)
+	if (!Array.isArray(input)) throw new Error('Expected a list')
+	return [...new Set(input.map(entry => String(entry).trim()).filter(Boolean))]
+}
+
+// Validate and normalize an address or CIDR subnet such as 203.0.113.7, 10.0.0.0/8 or 2001:db8::/32
+function parseAddressRule(rule) {
+	const [address, prefix, ...rest] = rule.split('/')
+	const version = net.isIP(address)
+	const bits = version === 4 ? 32 : 128
+	if (!version || rest.length) throw new Error(`Invalid address or subnet: ${rule}`)
+	if (prefix === undefined) return address
+
+	const length = Number(prefix)
+	if (!/^\d+$/.test(prefix) || length > bits) throw new Error(`Invalid address or subnet: ${rule}`)
+	return `${address}/${length}`
+}
+
+// Turn a list of addresses and subnets into a BlockList to check addresses against
+function compileAddresses(rules) {
+	const key = JSON.stringify(rules)
+	if (compiled.has(key)) return compiled.get(key)
+
+	const list = new net.BlockList()
+	rules.forEach(rule => {
+		const [address, prefix] = rule.split('/')
+		const type = net.isIPv4(address) ? 'ipv4' : 'ipv6'
+		if (prefix === undefined) list.addAddress(address, type)
+		else list.addSubnet(address, Number(prefix), type)
+	})
+
+	compiled.set(key, list)
+	if (compiled.size > MAX_COMPILED_LISTS) compiled.delete(compiled.keys().next().value)
+	return list
+}
+
+// Whether an address is in a list of addresses and subnets. IPv4 addresses mapped into IPv6 (::ffff:1.2.3.4)
+// are checked as the IPv4 address they are.
+function addressListed(rules, address) {
+	const ipv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+	if (ipv4) address = ipv4[1]
+
+	const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null
+	return Boolean(type) && compileAddresses(rules).check(address, type)
+}
+
+// Validate and normalize a URL's restrictions, throwing on bad input:
+//   allow, deny     Addresses and CIDR subnets; when allow isn't empty, only those addresses get through
+//   rate, per       Rate limit of rate requests per period (a duration, 1s by default), as a token bucket
+//   burst           Requests that can arrive at once before the rate limit applies (rate by default)
+//   maxBodySize     Largest body accepted, as a size such as 500kb
+//   methods         Methods accepted; any when empty
+//   status          Status code for every rejection, instead of one per reason
+//   sampleRate      Share of rejected requests (0 to 1) still logged, marked as rejected
+// Returns null when nothing is restricted.
+function parseRestrictionSettings(input) {
+	if (!input) return null
+	const present = key => input[key] !== undefined && input[key] !== null && input[key] !== ''
+
+	const settings = {
+		allow: parseList(input.allow).map(parseAddressRule),
+		deny: parseList(input.deny).map(parseAddressRule),
+		rate: null,
+		per: null,
+		burst: null,
+		maxBodySize: present('maxBodySize') ? parseSize(input.maxBodySize, 'Maximum body size') : null,
+		methods: parseList(input.methods).map(method => method.toUpperCase()),
+		status: present('status') ? Number(input.status) : null,
+		sampleRate: present('sampleRate') ? Number(input.sampleRate) : 0
+	}
+
+	if (settings.allow.length + settings.deny.length > MAX_ADDRESS_RULES) {
+		throw new Error(`At most ${MAX_ADDRESS_RULES} addresses and subnets are allowed`)
+	}
+	settings.methods.forEach(method => {
+		if (!/^[A-Z]+$/.test(method)) throw new Error(`Invalid method: ${method}`)
+	})
+
+	if (present('rate')) {
+		settings.rate = Number(input.rate)
+		if (!Number.isInteger(settings.rate) || settings.rate < 1 || settings.rate > MAX_RATE) {
+			throw new Error(`Rate must be an integer between 1 and ${MAX_RATE}`)
+		}
+		settings.per = parseSavedDuration(present('per') ? input.per : '1s', 'Rate period')
+		if (settings.per < 1) throw new Error('Rate period must be longer than 0')
+
+		settings.burst = present('burst') ? Number(input.burst) : settings.rate
+		if (!Number.isInteger(settings.burst) || settings.burst < 1 || settings.burst > MAX_RATE) {
+			throw new Error(`Burst must be an integer between 1 and ${MAX_RATE}`)
+		}
+	}
+
+	if (settings.status !== null && (!Number.isInteger(settings.status) || settings.status < 400 || settings.status > 599)) {
+		throw new Error('Status must be an integer between 400 and 599')
+	}
+	if (!(settings.sampleRate >= 0 && settings.sampleRate <= 1)) throw new Error('Sample rate must be between 0 and 1')
+
+	const restricted = settings.allow.length || settings.deny.length || settings.rate || settings.maxBodySize !== null || settings.methods.length
+	return restricted ? settings : null
+}
+
+// Turns away requests to a URL that its restrictions don't let through, and counts them by reason.
+// Rate limits are token buckets kept in memory, so they start full again after a restart.
+function createGatekeeper({ storage }) {
+	const buckets = new Map() // guid -> { tokens, updated }
+	const pending = new Map() // guid -> { reason: { count, lastRejected } }
+
+	// Take a token from a URL's bucket. Returns 0 when one was free, and otherwise the
+	// number of seconds until the next one is
+	function takeToken(guid, settings, now) {
+		const refill = settings.rate / settings.per // Tokens per millisecond
+		const bucket = buckets.get(guid) || { tokens: settings.burst, updated: now }
+		bucket.tokens = Math.min(settings.burst, bucket.tokens + (now - bucket.updated) * refill)
+		bucket.updated = now
+		buckets.set(guid, bucket)
+
+		if (bucket.tokens >= 1) {
+			bucket.tokens--
+			return 0
+		}
+		return Math.ceil((1 - bucket.tokens) / refill / 1000)
+	}
+
+	// Count a rejection, to be added to storage with the next flush
+	function count(guid, reason) {
+		const rejections = pending.get(guid) || {}
+		const previous = rejections[reason] || { count: 0 }
+		rejections[reason] = { count: previous.count + 1, lastRejected: new Date().toISOString() }
+		pending.set(guid, rejections)
+	}
+
+	// Check a request ({ address, method, size }) against a URL's restrictions. Returns null when it
+	// may go through, or { reason, status, message, retryAfter, sampled } when it is turned away,
+	// where sampled says whether to log it anyway.
+	function check(guid, settings, request) {
+		if (!settings) return null
+
+		let reason = null
+		let message = null
+		let retryAfter = null
+
+		if (settings.deny.length && addressListed(settings.deny, request.address)) {
+			reason = 'address'
+			message = 'Address denied'
+		} else if (settings.allow.length && !addressListed(settings.allow, request.address)) {
+			reason = 'address'
+			message = 'Address not allowed'
+		} else if (settings.methods.length && !settings.methods.includes(request.method)) {
+			reason = 'method'
+			message = `Method not allowed; use ${settings.methods.join(', ')}`
+		} else if (settings.maxBodySize !== null && request.size > settings.maxBodySize) {
+			reason = 'size'
+			message = `Body over ${settings.maxBodySize} bytes`
+		} else if (settings.rate) {
+			retryAfter = takeToken(guid, settings, Date.now()) || null
+			if (retryAfter) {
+				reason = 'rate'
+				message = 'Rate limit exceeded'
+			}
+		}
+
+		if (!reason) return null
+
+		count(guid, reason)
+		return {
+			reason,
+			status: settings.status || REJECTION_REASONS[reason],
+			message,
+			retryAfter,
+			sampled: settings.sampleRate > 0 && Math.random() < settings.sampleRate
+		}
+	}
+
+	// Add the rejections counted since the last flush to storage
+	async function flush() {
+		const entries = [...pending]
+		pending.clear()
+
+		for (const [guid, rejections] of entries) {
+			try {
+				await storage.addRejections(guid, rejections)
+			} catch (err) {
+				console.error(`Error saving rejection counts for GUID ${guid}:`, err)
+			}
+		}
+	}
+
+	// Drop what is kept about a deleted URL
+	function forget(guid) {
+		buckets.delete(guid)
+		pending.delete(guid)
+	}
+
+	setInterval(flush, FLUSH_INTERVAL).unref()
+
+	return { check, flush, forget }
+}
+
+module.exports = { REJECTION_REASONS, parseRestrictionSettings, createGatekeeper }
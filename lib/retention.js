@@ -0,0 +1,91 @@
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }
+
+// Parse a duration such as "30d", "12h" or "90m" into milliseconds; plain numbers are seconds
+function parseDuration(value, name) {
+	const match = /^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i.exec(String(value).trim())
+	if (!match) throw new Error(`${name} must be a duration such as 30d, 12h or 90m`)
+	return Math.round(Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()])
+}
+
+// Parse a duration as a setting holds it: a number is milliseconds, as it was saved, so saved settings can be
+// submitted again unchanged, and text is read as by parseDuration
+function parseSavedDuration(value, name) {
+	if (typeof value !== 'number') return parseDuration(value, name)
+	if (!Number.isInteger(value) || value < 0) throw new Error(`${name} must be a duration such as 30d, 12h or 90m`)
+	return value
+}
+
+// Parse a size such as "500mb" or "2gb" into bytes; plain numbers are bytes
+function parseSize(value, name) {
+	const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim())
+	if (!match) throw new Error(`${name} must be a size such as 500kb, 100mb or 1gb`)
+	return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()])
+}
+
+// Validate and normalize a retention policy, throwing on bad input. Blank fields are left out
+// (so a per-URL policy falls back to the global default) and 0 means "no limit".
+// Returns { maxAge, maxCount, maxBytes, expireAfter } in milliseconds, rows and bytes, or null if empty.
+function parseRetention(input) {
+	const policy = {}
+	const present = key => input && input[key] !== undefined && input[key] !== null && input[key] !== ''
+
+	if (present('maxAge')) policy.maxAge = parseSavedDuration(input.maxAge, 'Maximum age')
+	if (present('expireAfter')) policy.expireAfter = parseSavedDuration(input.expireAfter, 'Expire after')
+	if (present('maxBytes')) policy.maxBytes = parseSize(input.maxBytes, 'Maximum size')
+
+	if (present('maxCount')) {
+		policy.maxCount = Number(input.maxCount)
+		if (!Number.isInteger(policy.maxCount) || policy.maxCount < 0) {
+			throw new Error('Maximum count must be a non-negative integer')
+		}
+	}
+
+	return Object.keys(policy).length ? policy : null
+}
+
+// Combine the global defaults with a URL's own policy, which wins field by field
+function effectivePolicy(defaults, policy) {
+	return { ...defaults, ...policy }
+}
+
+// Apply a retention policy to one URL. Resolves with { expired: true } when the whole URL has been
+// inactive for longer than expireAfter (the caller deletes it), otherwise with the number and log numbers of the logs pruned.
+// Space freed by pruning, or by logs deleted from the UI, is reclaimed afterwards.
+async function sweepUrl(storage, guid, policy, now = Date.now()) {
+	const url = await storage.getUrl(guid)
+	if (!url) return { expired: false, pruned: 0 }
+
+	const logs = await storage.logSizes(guid) // Newest first
+
+	if (policy.expireAfter) {
+		const lastRequestTime = logs.reduce((latest, log) => Math.max(latest, new Date(log.timestamp).getTime() || 0), 0)
+		const lastActivity = Math.max(lastRequestTime, url.created.getTime())
+		if (now - lastActivity > policy.expireAfter) return { expired: true, pruned: 0 }
+	}
+
+	let kept = logs
+
+	if (policy.maxAge) {
+		// Compared as times, since imported logs can have timestamps with offsets or without milliseconds
+		const cutoff = now - policy.maxAge
+		kept = kept.filter(log => new Date(log.timestamp).getTime() >= cutoff)
+	}
+
+	if (policy.maxCount) kept = kept.slice(0, policy.maxCount)
+
+	if (policy.maxBytes) {
+		// Keep the newest logs whose combined size fits
+		let runningBytes = 0
+		kept = kept.filter(log => (runningBytes += log.size) <= policy.maxBytes)
+	}
+
+	const keep = new Set(kept.map(log => log.logNumber))
+	const pruned = logs.filter(log => !keep.has(log.logNumber)).map(log => log.logNumber)
+	if (pruned.length) await storage.deleteLogs(guid, pruned) // Also removes their replays and forwards
+
+	await storage.compact(guid)
+	return { expired: false, pruned: pruned.length, prunedLogNumbers: pruned }
+}
+
+module.exports = { parseDuration, parseSavedDuration, parseSize, parseRetention, effectivePolicy, sweepUrl }
@@ -0,0 +1,254 @@
+const vm = require('vm')
+const crypto = require('crypto')
+const { types } = require('util')
+const { HEADER_NAME } = require('./mock-responses')
+
+// Limits on a URL's script and what one run of it may do
+const MAX_SCRIPT_LENGTH = 100 * 1024
+const DEFAULT_SCRIPT_TIMEOUT = 1000
+const MAX_SCRIPT_TIMEOUT = 5000
+const MAX_CONSOLE_LINES = 100
+const MAX_CONSOLE_LINE = 2000
+
+// Limits on a URL's key/value store: key length, and total size of the stored values as JSON
+const MAX_STORE_KEY = 200
+const MAX_STORE_BYTES = 100 * 1024
+
+const DIGEST_ENCODINGS = ['hex', 'base64', 'base64url']
+
+// Runs inside the script's context before its code. Everything the host hands over goes through the bridge
+// as JSON text, and the bridge itself is only reachable from these wrappers, so the script never holds a
+// host object it could climb out of the context through.
+const PRELUDE = `(function(bridge, requestJson) {
+	const { parse, stringify } = JSON
+
+	function call(name, args) {
+		const result = parse(bridge(name, stringify(args)))
+		if (result.error) throw new Error(result.error)
+		return result.value
+	}
+
+	function format(value) {
+		if (typeof value === 'string') return value
+		try {
+			return JSON.stringify(value) === undefined ? String(value) : JSON.stringify(value)
+		} catch (err) {
+			return String(value)
+		}
+	}
+
+	const log = level => (...args) => call('log', [level, args.map(format).join(' ')])
+	globalThis.console = { log: log('log'), info: log('info'), warn: log('warn'), error: log('error'), debug: log('debug') }
+
+	globalThis.store = Object.freeze({
+		get: key => call('get', [key]),
+		set: (key, value) => call('set', [key, value === undefined ? null : value]),
+		delete: key => call('delete', [key]),
+		keys: () => call('keys', [])
+	})
+
+	globalThis.hmac = (algorithm, key, data, encoding) => call('hmac', [algorithm, key, data, encoding])
+	globalThis.hash = (algorithm, data, encoding) => call('hash', [algorithm, data, encoding])
+	globalThis.uuid = () => call('uuid', [])
+	globalThis.request = JSON.parse(requestJson)
+})`
+
+// Runs inside the script's context after its code, calling handle() and returning its response as JSON text
+const INVOKE = `(function() {
+	try {
+		if (typeof handle !== 'function') throw new Error('The script must define a handle(request) function')
+		const response = handle(request, store)
+		if (response && typeof response.then === 'function') throw new Error('handle() must return its response, not a promise')
+		return JSON.stringify({ response: response === undefined ? null : response })
+	} catch (err) {
+		return JSON.stringify({ error: err instanceof Error ? err.name + ': ' + err.message : 'Threw ' + String(err) })
+	}
+})()`
+
+// Runs inside the script's context to describe something its own code threw
+const DESCRIBE = `(function(err) {
+	try {
+		return err instanceof Error ? err.name + ': ' + err.message : 'Threw ' + String(err)
+	} catch (e) {
+		return 'Threw an exception'
+	}
+})(globalThis.thrown)`
+
+// Describe an error from a script run. The host's own errors (such as an invalid response) are read directly;
+// anything else belongs to the script's context, and is only looked at in there, under a timeout.
+function describeError(err, context) {
+	if (!types.isProxy(err) && err instanceof Error) return err.message
+
+	try {
+		context.thrown = err
+		const description = vm.runInContext(DESCRIBE, context, { timeout: 100 })
+		return typeof description === 'string' ? description : 'Threw an exception'
+	} catch (e) {
+		return 'Threw an exception'
+	}
+}
+
+// Validate and normalize a script setting ({ code, timeout }), throwing on bad input or code that doesn't compile.
+// Returns null when there is no code, which turns the script off.
+function parseScriptSettings(input) {
+	const code = input && input.code ? String(input.code) : ''
+	if (!code.trim()) return null
+	if (code.length > MAX_SCRIPT_LENGTH) throw new Error(`Scripts can be at most ${MAX_SCRIPT_LENGTH} characters`)
+
+	const timeout = input.timeout === undefined || input.timeout === '' ? DEFAULT_SCRIPT_TIMEOUT : Number(input.timeout)
+	if (!Number.isInteger(timeout) || timeout < 1 || timeout > MAX_SCRIPT_TIMEOUT) {
+		throw new Error(`Timeout must be an integer between 1 and ${MAX_SCRIPT_TIMEOUT} ms`)
+	}
+
+	try {
+		new vm.Script(code, { filename: 'handler.js' })
+	} catch (err) {
+		throw new Error(`Script doesn't compile: ${err.message}`)
+	}
+
+	return { code, timeout }
+}
+
+// Check that a key/value store (as an object) fits the limits, throwing if it doesn't
+function checkStore(store) {
+	Object.keys(store).forEach(key => {
+		if (!key || key.length > MAX_STORE_KEY) throw new Error(`Store keys must be 1 to ${MAX_STORE_KEY} characters`)
+	})
+	if (Buffer.byteLength(JSON.stringify(store)) > MAX_STORE_BYTES) {
+		throw new Error(`The store can hold at most ${MAX_STORE_BYTES} bytes`)
+	}
+}
+
+// Validate the digest arguments a script passed to hmac() or hash(); the encoding defaults to hex
+function digestOptions(algorithm, encoding) {
+	encoding = encoding || 'hex'
+	if (!crypto.getHashes().includes(String(algorithm).toLowerCase())) throw new Error(`Unknown hash algorithm: ${algorithm}`)
+	if (!DIGEST_ENCODINGS.includes(encoding)) throw new Error(`Encoding must be one of: ${DIGEST_ENCODINGS.join(', ')}`)
+	return { algorithm: String(algorithm).toLowerCase(), encoding }
+}
+
+// Turn what handle() returned into { status, headers, body }, throwing if it isn't a valid response.
+// A string is sent as the body; an object or array body is sent as JSON.
+function normalizeResponse(response) {
+	if (typeof response === 'string') response = { body: response }
+	if (typeof response !== 'object' || Array.isArray(response)) throw new Error('handle() must return a string or { status, headers, body }')
+
+	const status = response.status === undefined ? 200 : response.status
+	if (!Number.isInteger(status) || status < 100 || status > 599) throw new Error('Response status must be an integer between 100 and 599')
+
+	const headers = {}
+	Object.entries(response.headers || {}).forEach(([name, value]) => {
+		if (!HEADER_NAME.test(name)) throw new Error(`Invalid response header name: ${name}`)
+		if (/[\r\n]/.test(String(value))) throw new Error(`Invalid value for response header ${name}`)
+		headers[name] = String(value)
+	})
+
+	let body = response.body === undefined || response.body === null ? '' : response.body
+	if (typeof body === 'object') {
+		body = JSON.stringify(body)
+		if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) headers['Content-Type'] = 'application/json'
+	}
+
+	return { status, headers, body: String(body) }
+}
+
+// Per-URL request handlers written in JavaScript. A URL's script defines handle(request, store), which gets
+// { guid, method, url, path, query, headers, body, rawBody, timestamp } and returns a string or
+// { status, headers, body }, or nothing to fall back to the mock responses. Scripts also get console, store
+// (get, set, delete, keys; the URL's key/value store), hmac(algorithm, key, data, encoding), hash(algorithm,
+// data, encoding) and uuid().
+//
+// Each run gets a fresh vm context with eval disabled and a timeout. Node's vm module is not a hard security
+// boundary, which is why only users with write access to a URL can set its script.
+function createScriptRunner({ storage }) {
+	// Run a URL's script on a request. Resolves with { response, record }: the response to send (null when
+	// the script didn't give one) and the record saved with the log: { status, logs, error, duration }.
+	async function run(guid, settings, request) {
+		const started = Date.now()
+		const record = { status: null, logs: [], error: null, duration: 0 }
+		const store = (await storage.getStore(guid)) || {}
+		const changes = {} // key -> new value, or null once deleted
+		let response = null
+
+		const log = (level, message) => {
+			if (record.logs.length < MAX_CONSOLE_LINES) record.logs.push({ level, message: String(message).slice(0, MAX_CONSOLE_LINE) })
+		}
+
+		const calls = {
+			log,
+			get: key => store[key],
+			keys: () => Object.keys(store),
+			set(key, value) {
+				if (value === null) return calls.delete(key)
+				checkStore({ ...store, [key]: value })
+				store[key] = value
+				changes[key] = value
+			},
+			delete(key) {
+				delete store[key]
+				changes[key] = null
+			},
+			hmac(algorithm, key, data, encoding) {
+				const options = digestOptions(algorithm, encoding)
+				return crypto.createHmac(options.algorithm, String(key)).update(String(data)).digest(options.encoding)
+			},
+			hash(algorithm, data, encoding) {
+				const options = digestOptions(algorithm, encoding)
+				return crypto.createHash(options.algorithm).update(String(data)).digest(options.encoding)
+			},
+			uuid: () => crypto.randomUUID()
+		}
+
+		// Called from inside the context with JSON text, answering with JSON text
+		const bridge = (name, argsJson) => {
+			try {
+				const args = JSON.parse(String(argsJson))
+				if (!Object.prototype.hasOwnProperty.call(calls, name)) throw new Error(`Unknown call: ${name}`)
+				return JSON.stringify({ value: calls[name](...args) })
+			} catch (err) {
+				return JSON.stringify({ error: err.message })
+			}
+		}
+
+		// Promise callbacks the script queues run before each evaluation returns, so the timeout covers them too
+		const context = vm.createContext(Object.create(null), {
+			codeGeneration: { strings: false, wasm: false },
+			microtaskMode: 'afterEvaluate'
+		})
+		try {
+			vm.runInContext(PRELUDE, context)(bridge, JSON.stringify(request))
+
+			const script = new vm.Script(settings.code, { filename: 'handler.js' })
+			script.runInContext(context, { timeout: settings.timeout })
+
+			const remaining = Math.max(1, settings.timeout - (Date.now() - started))
+			const output = vm.runInContext(INVOKE, context, { timeout: remaining })
+			if (typeof output !== 'string') throw new Error('The script replaced JSON.stringify')
+			const result = JSON.parse(output)
+
+			if (result.error) throw new Error(result.error)
+			if (result.response !== null) response = normalizeResponse(result.response)
+		} catch (err) {
+			// Timeouts are raised from within the context, so they are told apart by how long the run took
+			record.error = Date.now() - started >= settings.timeout ? `Timed out after ${settings.timeout} ms` : describeError(err, context)
+			response = { status: 500, headers: { 'Content-Type': 'text/plain' }, body: 'Script error' }
+		}
+
+		// Save whatever the script changed in the store, even if it failed afterwards
+		if (Object.keys(changes).length) {
+			try {
+				await storage.updateStore(guid, changes)
+			} catch (err) {
+				console.error(`Error saving the store of GUID ${guid}:`, err)
+			}
+		}
+
+		record.status = response ? response.status : null
+		record.duration = Date.now() - started
+		return { response, record }
+	}
+
+	return { run }
+}
+
+module.exports = { MAX_STORE_KEY, parseScriptSettings, checkStore, createScriptRunner }
@@ -0,0 +1,25 @@
+const { parseSignatureProfile } = require('./signatures')
+const { parseProxySettings } = require('./proxy')
+const { parseRetention } = require('./retention')
+const { parseChaosSettings } = require('./chaos')
+const { parseNotificationSettings } = require('./notifications')
+const { parseDiffSettings } = require('./diff')
+const { parseContractSettings } = require('./contracts')
+const { parseScriptSettings } = require('./scripts')
+const { parseRestrictionSettings } = require('./restrictions')
+
+// Per-URL settings stored in the settings table, each with a function that validates
+// and normalizes submitted values (returning null clears the setting)
+const SETTINGS = {
+	signature: parseSignatureProfile,
+	proxy: parseProxySettings,
+	retention: parseRetention,
+	chaos: parseChaosSettings,
+	notifications: parseNotificationSettings,
+	diff: parseDiffSettings,
+	contracts: parseContractSettings,
+	script: parseScriptSettings,
+	restrictions: parseRestrictionSettings
+}
+
+module.exports = { SETTINGS }
@@ -0,0 +1,141 @@
+const crypto = require('crypto')
+
+// Supported verification schemes and their defaults
+const SCHEMES = {
+	github: { header: 'x-hub-signature-256', algorithm: 'sha256', encoding: 'hex', prefix: 'sha256=' },
+	stripe: { header: 'stripe-signature', algorithm: 'sha256', encoding: 'hex', tolerance: 300 },
+	slack: { header: 'x-slack-signature', algorithm: 'sha256', encoding: 'hex', prefix: 'v0=', tolerance: 300 },
+	generic: { header: 'x-signature', algorithm: 'sha256', encoding: 'hex', prefix: '' }
+}
+
+const ALGORITHMS = ['sha1', 'sha256', 'sha512']
+const ENCODINGS = ['hex', 'base64']
+
+// Compute an HMAC digest over a payload
+function hmac(algorithm, secret, payload, encoding) {
+	return crypto.createHmac(algorithm, secret).update(payload).digest(encoding)
+}
+
+// Compare two signature strings without leaking timing information
+function safeEqual(a, b) {
+	const bufA = Buffer.from(a)
+	const bufB = Buffer.from(b)
+	return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+// Check that a Unix timestamp (in seconds) is within the allowed tolerance of now
+function checkTimestamp(timestamp, tolerance, now) {
+	const seconds = Number(timestamp)
+	if (!timestamp || !Number.isFinite(seconds)) return 'Missing or invalid timestamp'
+	if (tolerance > 0 && Math.abs(now / 1000 - seconds) > tolerance) {
+		return `Timestamp outside tolerance of ${tolerance}s`
+	}
+	return null
+}
+
+// Verify a signature header of the form "<prefix><digest>" computed over the whole body
+function verifyPrefixed(config, headers, rawBody) {
+	const signature = headers[config.header]
+	if (!signature) return { valid: false, reason: `Missing ${config.header} header` }
+
+	const expected = config.prefix + hmac(config.algorithm, config.secret, rawBody, config.encoding)
+	return safeEqual(signature, expected)
+		? { valid: true, reason: 'Signature matches' }
+		: { valid: false, reason: 'Signature mismatch' }
+}
+
+// Stripe signs "<t>.<body>" and sends "t=<timestamp>,v1=<digest>[,v1=...]"
+function verifyStripe(config, headers, rawBody, now) {
+	const signature = headers[config.header]
+	if (!signature) return { valid: false, reason: `Missing ${config.header} header` }
+
+	const parts = signature.split(',').map(part => part.trim().split('='))
+	const timestamp = (parts.find(([key]) => key === 't') || [])[1]
+	const candidates = parts.filter(([key]) => key === 'v1').map(([, value]) => value)
+
+	const timestampError = checkTimestamp(timestamp, config.tolerance, now)
+	if (timestampError) return { valid: false, reason: timestampError }
+	if (!candidates.length) return { valid: false, reason: 'No v1 signature in header' }
+
+	const payload = Buffer.concat([Buffer.from(`${timestamp}.`), rawBody])
+	const expected = hmac(config.algorithm, config.secret, payload, config.encoding)
+	return candidates.some(candidate => safeEqual(candidate, expected))
+		? { valid: true, reason: 'Signature matches' }
+		: { valid: false, reason: 'Signature mismatch' }
+}
+
+// Slack signs "v0:<timestamp>:<body>" and sends the timestamp in X-Slack-Request-Timestamp
+function verifySlack(config, headers, rawBody, now) {
+	const signature = headers[config.header]
+	if (!signature) return { valid: false, reason: `Missing ${config.header} header` }
+
+	const timestamp = headers['x-slack-request-timestamp']
+	const timestampError = checkTimestamp(timestamp, config.tolerance, now)
+	if (timestampError) return { valid: false, reason: timestampError }
+
+	const payload = Buffer.concat([Buffer.from(`v0:${timestamp}:`), rawBody])
+	const expected = config.prefix + hmac(config.algorithm, config.secret, payload, config.encoding)
+	return safeEqual(signature, expected)
+		? { valid: true, reason: 'Signature matches' }
+		: { valid: false, reason: 'Signature mismatch' }
+}
+
+// Verify a request against a signature profile. Returns null when no profile is configured,
+// otherwise { valid, reason }.
+function verifySignature(profile, headers, rawBody, now = Date.now()) {
+	if (!profile || !profile.scheme) return null
+
+	const config = { ...SCHEMES[profile.scheme], ...profile }
+	config.header = config.header.toLowerCase()
+	const body = rawBody || Buffer.alloc(0)
+
+	switch (profile.scheme) {
+		case 'stripe':
+			return verifyStripe(config, headers, body, now)
+		case 'slack':
+			return verifySlack(config, headers, body, now)
+		default:
+			return verifyPrefixed(config, headers, body)
+	}
+}
+
+// Validate and normalize a signature profile submitted through the API, throwing on bad input.
+// An empty scheme turns verification off.
+function parseSignatureProfile(input) {
+	if (!input || !input.scheme) return null
+
+	const defaults = SCHEMES[input.scheme]
+	if (!defaults) {
+		throw new Error(`Scheme must be one of: ${Object.keys(SCHEMES).join(', ')}`)
+	}
+
+	if (!input.secret) throw new Error('A shared secret is required')
+
+	const profile = { scheme: input.scheme, secret: String(input.secret) }
+
+	if (input.scheme === 'generic') {
+		profile.header = input.header ? String(input.header).toLowerCase() : defaults.header
+		profile.algorithm = input.algorithm || defaults.algorithm
+		profile.encoding = input.encoding || defaults.encoding
+		profile.prefix = input.prefix ? String(input.prefix) : ''
+
+		if (!ALGORITHMS.includes(profile.algorithm)) {
+			throw new Error(`Algorithm must be one of: ${ALGORITHMS.join(', ')}`)
+		}
+
+		if (!ENCODINGS.includes(profile.encoding)) {
+			throw new Error(`Encoding must be one of: ${ENCODINGS.join(', ')}`)
+		}
+	}
+
+	if ('tolerance' in defaults) {
+		profile.tolerance = input.tolerance === undefined || input.tolerance === '' ? defaults.tolerance : Number(input.tolerance)
+		if (!Number.isInteger(profile.tolerance) || profile.tolerance < 0) {
+			throw new Error('Tolerance must be a non-negative number of seconds')
+		}
+	}
+
+	return profile
+}
+
+module.exports = { SCHEMES, verifySignature, parseSignatureProfile }
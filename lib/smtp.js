@@ -0,0 +1,80 @@
+const net = require('net')
+const os = require('os')
+
+// How long to wait for each reply from the relay, in milliseconds
+const SMTP_TIMEOUT = 10000
+
+// Remove line breaks so a value can't add headers of its own
+function headerValue(value) {
+	return String(value).replace(/[\r\n]+/g, ' ')
+}
+
+// Build the message sent after DATA: headers, then the body with CRLF line endings and leading dots doubled
+function buildMessage({ from, to, subject, text }) {
+	const headers = [
+		`From: ${headerValue(from)}`,
+		`To: ${to.map(headerValue).join(', ')}`,
+		`Subject: ${headerValue(subject)}`,
+		`Date: ${new Date().toUTCString()}`,
+		'MIME-Version: 1.0',
+		'Content-Type: text/plain; charset=utf-8',
+		'Content-Transfer-Encoding: 8bit'
+	]
+
+	const body = String(text).split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line))
+	return `${headers.join('\r\n')}\r\n\r\n${body.join('\r\n')}\r\n.`
+}
+
+// Send a plain-text email through an SMTP relay that accepts mail without authentication or TLS, such as
+// a local Postfix or MailHog. Resolves with the relay's reply to the message, rejects on any error reply.
+function sendMail({ host, port }, message) {
+	const steps = [
+		{ expect: '2' }, // Greeting
+		{ command: `EHLO ${os.hostname()}`, expect: '2' },
+		{ command: `MAIL FROM:<${message.from}>`, expect: '2' },
+		...message.to.map(address => ({ command: `RCPT TO:<${address}>`, expect: '2' })),
+		{ command: 'DATA', expect: '3' },
+		{ command: buildMessage(message), expect: '2', accepted: true },
+		{ command: 'QUIT', expect: '2' }
+	]
+
+	return new Promise((resolve, reject) => {
+		const socket = net.connect({ host, port })
+		let buffer = ''
+		let lines = []
+		let accepted = null
+
+		socket.setEncoding('utf8')
+		socket.setTimeout(SMTP_TIMEOUT, () => socket.destroy(new Error(`Timed out after ${SMTP_TIMEOUT} ms`)))
+		socket.on('error', reject)
+		socket.on('close', () => (accepted ? resolve(accepted) : reject(new Error('Connection closed by the relay'))))
+
+		socket.on('data', chunk => {
+			buffer += chunk
+			let end
+			while ((end = buffer.indexOf('\n')) !== -1) {
+				const line = buffer.slice(0, end).replace(/\r$/, '')
+				buffer = buffer.slice(end + 1)
+				lines.push(line)
+
+				// Multi-line replies continue with "250-" and finish with "250 "
+				if (/^\d{3}-/.test(line)) continue
+
+				const reply = lines.join(' ')
+				const step = steps.shift()
+				lines = []
+
+				if (!step || !line.startsWith(step.expect)) {
+					socket.destroy(new Error(`Relay replied: ${reply}`))
+					return
+				}
+
+				if (step.accepted) accepted = reply
+				if (steps.length) socket.write(`${steps[0].command}\r\n`)
+				else socket.end()
+			}
+		})
+	})
+}
+
+module.exports = { SMTP_TIMEOUT, sendMail }
@@ -0,0 +1,107 @@
+const { parseLogFilter, inTimeRange } = require('./log-filter')
+
+// Intervals requests can be counted per, as the length of the ISO timestamp prefix each one groups by
+const STATS_INTERVALS = { minute: 16, hour: 13, day: 10 }
+
+// Most values listed in each top list (sub paths, source IPs, user agents)
+const TOP_COUNT = 10
+
+// Payload size ranges, each up to (but not including) max bytes
+const SIZE_BUCKETS = [
+	{ label: '< 1 KB', max: 1024 },
+	{ label: '1-10 KB', max: 10 * 1024 },
+	{ label: '10-100 KB', max: 100 * 1024 },
+	{ label: '100 KB-1 MB', max: 1024 * 1024 },
+	{ label: '1 MB+', max: null }
+]
+
+// Parse the query of a stats request ({ from, to, interval }), throwing on bad input
+function parseStatsOptions(query) {
+	const interval = query.interval || 'hour'
+	if (!STATS_INTERVALS[interval]) throw new Error(`interval must be one of: ${Object.keys(STATS_INTERVALS).join(', ')}`)
+
+	const { from = null, to = null } = parseLogFilter({ from: query.from, to: query.to })
+	return { from, to, interval }
+}
+
+// Turn the timestamp prefix an interval groups by back into the ISO time its bucket starts at
+function bucketStart(prefix) {
+	return prefix + 'T00:00:00.000Z'.slice(prefix.length - 10)
+}
+
+// SQL expression for the sub path of a logged URL (/<guid>/<sub path>?<query>), as "/<sub path>"
+function subPathSql(guid) {
+	const path = `CASE WHEN instr(url, '?') > 0 THEN substr(url, 1, instr(url, '?') - 1) ELSE url END`
+	return `'/' || substr(${path}, ${guid.length + 3})` // Past the slashes around the GUID
+}
+
+// The sub path of a logged URL, as subPathSql computes it
+function subPathOf(url, guid) {
+	return '/' + url.split('?')[0].slice(guid.length + 1).replace(/^\//, '')
+}
+
+// SQL expression for the index in SIZE_BUCKETS of a request's payload size
+function sizeBucketSql() {
+	const size = 'COALESCE(bodySize, length(rawBody), 0)'
+	const cases = SIZE_BUCKETS.slice(0, -1).map((bucket, index) => `WHEN ${size} < ${bucket.max} THEN ${index}`)
+	return `CASE ${cases.join(' ')} ELSE ${SIZE_BUCKETS.length - 1} END`
+}
+
+// The index in SIZE_BUCKETS of a payload size, as sizeBucketSql computes it
+function sizeBucketOf(size) {
+	const index = SIZE_BUCKETS.findIndex(bucket => bucket.max !== null && size < bucket.max)
+	return index === -1 ? SIZE_BUCKETS.length - 1 : index
+}
+
+// Put grouped counts ({ value, count }) into the shape of a stats response. Both storage backends count the
+// same groups (SQL in sqlite, a pass over the logs in documents) and finish with this.
+function formatStats(options, counts) {
+	const sizes = new Map(counts.sizes.map(({ value, count }) => [value, count]))
+
+	return {
+		from: options.from,
+		to: options.to,
+		interval: options.interval,
+		total: counts.total,
+		firstRequestTime: counts.firstRequestTime || null,
+		lastRequestTime: counts.lastRequestTime || null,
+		requests: counts.timeline.map(({ value, count }) => ({ start: bucketStart(value), count })),
+		methods: counts.methods,
+		subPaths: counts.subPaths,
+		sourceIps: counts.sourceIps,
+		userAgents: counts.userAgents,
+		sizes: SIZE_BUCKETS.map((bucket, index) => ({ label: bucket.label, count: sizes.get(index) || 0 })),
+		statuses: counts.statuses
+	}
+}
+
+// Count values into { value, count } sorted by count (most first), keeping at most limit of them
+function countValues(values, limit = Infinity) {
+	const counts = new Map()
+	values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1))
+	return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count).slice(0, limit)
+}
+
+// Compute the stats of a URL's logs (in the API shape) in memory, mirroring the queries of the sqlite backend
+function computeStats(logs, guid, options) {
+	const inRange = logs.filter(log => inTimeRange(log.timestamp, options))
+	const timestamps = inRange.map(log => log.timestamp).sort()
+	const present = values => values.filter(value => value !== null && value !== undefined)
+	const size = log => (log.bodySize !== null && log.bodySize !== undefined ? log.bodySize : (log.rawBody ? Buffer.from(log.rawBody, 'base64').length : 0))
+
+	return formatStats(options, {
+		total: inRange.length,
+		firstRequestTime: timestamps[0],
+		lastRequestTime: timestamps[timestamps.length - 1],
+		timeline: countValues(inRange.map(log => log.timestamp.slice(0, STATS_INTERVALS[options.interval])))
+			.sort((a, b) => (a.value < b.value ? -1 : 1)),
+		methods: countValues(inRange.map(log => log.method)),
+		subPaths: countValues(inRange.map(log => subPathOf(log.url, guid)), TOP_COUNT),
+		sourceIps: countValues(present(inRange.map(log => log.remoteAddress)), TOP_COUNT),
+		userAgents: countValues(present(inRange.map(log => log.headers['user-agent'])), TOP_COUNT),
+		sizes: countValues(inRange.map(log => sizeBucketOf(size(log)))),
+		statuses: countValues(present(inRange.map(log => log.responseStatus)))
+	})
+}
+
+module.exports = { STATS_INTERVALS, TOP_COUNT, parseStatsOptions, subPathSql, sizeBucketSql, formatStats, computeStats }
@@ -0,0 +1,642 @@
+const fs = require('fs').promises
+const path = require('path')
+const { matchesLogFilter, inTimeRange } = require('../log-filter')
+const { computeStats } = require('../stats')
+
+// GUIDs become file names, so anything else (such as an encoded "../") is treated as a missing URL
+const GUID_PATTERN = /^[\w-]+$/
+
+// Documents backed by files kept in memory at once; the least recently used ones are dropped beyond this
+const MAX_CACHED_DOCUMENTS = 50
+
+// Fill in the fields a URL document may lack, such as files written by the original app-json.js server
+// (which only had a name, possibly false, and a requests array without the later columns).
+// Times missing from the document default to the given ones.
+function normalizeDocument(doc, { created, modified = created }) {
+	const requests = (Array.isArray(doc.requests) ? doc.requests : []).map(log => ({
+		logNumber: log.logNumber,
+		timestamp: log.timestamp,
+		method: log.method,
+		url: log.url,
+		headers: log.headers || {},
+		body: log.body === undefined ? null : log.body,
+		rawBody: log.rawBody || null,
+		bodySize: log.bodySize === undefined ? null : log.bodySize,
+		contentType: log.contentType || null,
+		contentEncoding: log.contentEncoding || null,
+		signature: log.signature || null,
+		fault: log.fault || null,
+		contract: log.contract || null,
+		script: log.script || null,
+		attachments: log.attachments || [],
+		remoteAddress: log.remoteAddress || null,
+		responseStatus: log.responseStatus || null,
+		remotePort: log.remotePort || null,
+		httpVersion: log.httpVersion || null,
+		tlsProtocol: log.tlsProtocol || null,
+		tlsCipher: log.tlsCipher || null,
+		receiveTime: log.receiveTime === undefined ? null : log.receiveTime,
+		rejected: log.rejected || null,
+		parseError: log.parseError || null
+	}))
+
+	return {
+		name: doc.name || 'Untitled',
+		alias: doc.alias || null,
+		created: doc.created || created,
+		modified: doc.modified || modified,
+		lastLogNumber: requests.reduce((max, log) => Math.max(max, log.logNumber || 0), doc.lastLogNumber || 0),
+		settings: doc.settings || {},
+		store: doc.store || {},
+		rejections: doc.rejections || {}, // Requests turned away by the URL's restrictions: { reason: { count, lastRejected } }
+		responses: doc.responses || [],
+		requests,
+		replays: doc.replays || [],
+		forwards: doc.forwards || [],
+		notifications: doc.notifications || [],
+		attachments: doc.attachments || [] // Content of logs' attachments: { logNumber, attachment, content (base64) }
+	}
+}
+
+// Convert a log as captured (rawBody as a Buffer) into the API shape kept in documents
+function toStoredLog(logNumber, log) {
+	return {
+		logNumber,
+		timestamp: log.timestamp,
+		method: log.method,
+		url: log.url,
+		headers: log.headers,
+		body: log.body === undefined ? null : log.body,
+		rawBody: log.rawBody ? Buffer.from(log.rawBody).toString('base64') : null,
+		bodySize: log.bodySize === undefined ? null : log.bodySize,
+		contentType: log.contentType || null,
+		contentEncoding: log.contentEncoding || null,
+		signature: log.signature || null,
+		fault: log.fault || null,
+		contract: log.contract || null,
+		script: log.script || null,
+		attachments: (log.attachments || []).map(({ content, ...info }) => info),
+		remoteAddress: log.remoteAddress || null,
+		responseStatus: log.responseStatus || null,
+		remotePort: log.remotePort || null,
+		httpVersion: log.httpVersion || null,
+		tlsProtocol: log.tlsProtocol || null,
+		tlsCipher: log.tlsCipher || null,
+		receiveTime: log.receiveTime === undefined ? null : log.receiveTime,
+		rejected: log.rejected || null,
+		parseError: log.parseError || null
+	}
+}
+
+// Size of a stored log as counted by retention: headers, parsed and raw bodies
+function logSize(log) {
+	return Buffer.byteLength(JSON.stringify(log.headers)) +
+		Buffer.byteLength(JSON.stringify(log.body) || '') +
+		(log.rawBody ? Buffer.from(log.rawBody, 'base64').length : 0)
+}
+
+function nextId(list) {
+	return list.reduce((max, item) => Math.max(max, item.id), 0) + 1
+}
+
+function copy(value) {
+	return JSON.parse(JSON.stringify(value))
+}
+
+// Storage keeping each URL as one document in memory. A persistence layer ({ list, load, save, remove, size, flush })
+// can back it with files; without one, everything is lost when the process exits.
+function createDocumentStorage(persistence) {
+	const documents = new Map() // guid -> Promise of the document, or of null if it doesn't exist, least recently used first
+	const loaded = new WeakSet() // Promises in documents that have settled, which can be dropped
+	let aliasChanges = Promise.resolve() // Alias changes run one at a time, so two URLs can't take the same alias
+
+	// Keep a URL's document (a Promise of it) as the most recently used one
+	function cache(guid, loading) {
+		documents.delete(guid)
+		documents.set(guid, loading)
+		loading.then(() => loaded.add(loading), () => {})
+	}
+
+	// Drop the least recently used documents beyond the limit, to be read back from their files when needed.
+	// Without persistence the documents are all there is, so they are kept.
+	function evict() {
+		if (!persistence) return
+		for (const [guid, loading] of documents) {
+			if (documents.size <= MAX_CACHED_DOCUMENTS) break
+			if (loaded.has(loading)) documents.delete(guid)
+		}
+	}
+
+	// Get a URL's document, loading it on first use
+	async function load(guid) {
+		if (!GUID_PATTERN.test(guid)) return null
+
+		if (documents.has(guid)) {
+			cache(guid, documents.get(guid))
+		} else {
+			const loading = persistence ? persistence.load(guid) : Promise.resolve(null)
+			cache(guid, loading)
+			const forget = () => documents.get(guid) === loading && documents.delete(guid)
+			loading.then(doc => doc || forget(), forget)
+			evict()
+		}
+		return documents.get(guid)
+	}
+
+	// Apply a change to a URL's document and persist it, resolving with fn's result (or null if the URL doesn't exist)
+	async function update(guid, fn) {
+		const doc = await load(guid)
+		if (!doc) return null
+
+		const result = fn(doc)
+		doc.modified = new Date().toISOString()
+		if (persistence) await persistence.save(guid, doc)
+		return result
+	}
+
+	async function read(guid, fn) {
+		const doc = await load(guid)
+		return doc ? fn(doc) : null
+	}
+
+	function findAttachment(doc, logNumber, attachment) {
+		return doc.attachments.find(stored => stored.logNumber === logNumber && stored.attachment === attachment)
+	}
+
+	// Add logs to a document, numbering those without a logNumber after the highest in use
+	function appendLogs(doc, logs) {
+		return logs.map(log => {
+			const logNumber = log.logNumber || doc.lastLogNumber + 1
+			doc.lastLogNumber = Math.max(doc.lastLogNumber, logNumber)
+			doc.requests.push(toStoredLog(logNumber, log))
+
+			// Attachments without content (such as imported ones) only keep their details on the log
+			const attachments = (log.attachments || []).filter(file => file.content)
+			attachments.forEach(file => {
+				doc.attachments.push({ logNumber, attachment: file.attachment, content: Buffer.from(file.content).toString('base64') })
+			})
+			return logNumber
+		})
+	}
+
+	async function listGuids() {
+		const guids = new Set(persistence ? await persistence.list() : [])
+		for (const [guid, loading] of [...documents]) {
+			if (await loading) guids.add(guid)
+		}
+		return [...guids]
+	}
+
+	// A URL as listUrls lists it, with its request and rejection counts
+	async function getUrlSummary(guid) {
+		const doc = await load(guid)
+		if (!doc) return null
+
+		const timestamps = doc.requests.map(log => log.timestamp).sort()
+		return {
+			guid,
+			name: doc.name,
+			alias: doc.alias,
+			created: new Date(doc.created),
+			modified: new Date(doc.modified),
+			storageBytes: persistence ? await persistence.size(guid) : Buffer.byteLength(JSON.stringify(doc)),
+			requestCount: doc.requests.length,
+			rejections: copy(doc.rejections),
+			rejectedCount: Object.values(doc.rejections).reduce((total, rejection) => total + rejection.count, 0),
+			firstRequestTime: timestamps.length ? timestamps[0] : null,
+			lastRequestTime: timestamps.length ? timestamps[timestamps.length - 1] : null
+		}
+	}
+
+	async function listUrls() {
+		const urls = await Promise.all((await listGuids()).map(getUrlSummary))
+		return urls.filter(Boolean)
+	}
+
+	function getUrl(guid) {
+		return read(guid, doc => ({ guid, name: doc.name, alias: doc.alias, created: new Date(doc.created) }))
+	}
+
+	async function createUrl(guid, name) {
+		const now = new Date().toISOString()
+		const doc = normalizeDocument({ name }, { created: now })
+		cache(guid, Promise.resolve(doc))
+		evict()
+		if (persistence) await persistence.save(guid, doc)
+		return { guid, name }
+	}
+
+	function renameUrl(guid, name) {
+		return update(guid, doc => {
+			doc.name = name
+			return true
+		})
+	}
+
+	// Resolve the GUID of the URL with an alias, or null if no URL has it
+	async function findAlias(alias) {
+		for (const guid of await listGuids()) {
+			const doc = await load(guid)
+			if (doc && doc.alias === alias) return guid
+		}
+		return null
+	}
+
+	// Give a URL an alias (or remove it with null), resolving false if another URL already has the alias
+	function setAlias(guid, alias) {
+		const change = aliasChanges.then(async () => {
+			const owner = alias ? await findAlias(alias) : null
+			if (owner && owner !== guid) return false
+
+			return update(guid, doc => {
+				doc.alias = alias
+				return true
+			})
+		})
+		aliasChanges = change.catch(() => {})
+		return change
+	}
+
+	async function deleteUrl(guid) {
+		if (!(await load(guid))) return false
+
+		documents.delete(guid)
+		if (persistence) await persistence.remove(guid)
+		return true
+	}
+
+	function dumpUrl(guid) {
+		return read(guid, doc => ({
+			guid,
+			name: doc.name,
+			alias: doc.alias,
+			created: doc.created,
+			settings: copy(doc.settings),
+			store: copy(doc.store),
+			rejections: copy(doc.rejections),
+			responses: copy(doc.responses),
+			requests: doc.requests.map(log => ({
+				...copy(log),
+				rawBody: log.rawBody ? Buffer.from(log.rawBody, 'base64') : null,
+				attachments: log.attachments.map(info => {
+					const stored = findAttachment(doc, log.logNumber, info.attachment)
+					return { ...info, content: stored ? Buffer.from(stored.content, 'base64') : null }
+				})
+			})),
+			replays: copy(doc.replays),
+			forwards: copy(doc.forwards),
+			notifications: copy(doc.notifications)
+		}))
+	}
+
+	async function restoreUrl(dump) {
+		const { guid } = dump
+		if (!GUID_PATTERN.test(guid)) throw new Error(`Invalid GUID: ${guid}`)
+		if (await load(guid)) throw new Error(`URL ${guid} already exists`)
+
+		const created = dump.created || new Date().toISOString()
+		const doc = normalizeDocument({
+			name: dump.name,
+			created,
+			settings: copy(dump.settings || {}),
+			store: copy(dump.store || {}),
+			rejections: copy(dump.rejections || {}),
+			responses: (dump.responses || []).map((rule, index) => ({
+				...copy(rule),
+				id: index + 1,
+				headers: rule.headers || {},
+				delay: rule.delay || 0,
+				enabled: rule.enabled !== false && rule.enabled !== 0
+			})),
+			replays: (dump.replays || []).map((replay, index) => ({ ...copy(replay), id: index + 1 })),
+			forwards: (dump.forwards || []).map((forward, index) => ({ ...copy(forward), id: index + 1 })),
+			notifications: (dump.notifications || []).map((entry, index) => ({ ...copy(entry), id: index + 1 }))
+		}, { created })
+
+		const logNumbers = appendLogs(doc, dump.requests || [])
+		cache(guid, Promise.resolve(doc))
+		evict()
+
+		try {
+			if (persistence) await persistence.save(guid, doc)
+		} catch (err) {
+			documents.delete(guid)
+			throw err
+		}
+
+		// The alias is left off if another URL has taken it in the meantime
+		if (dump.alias) await setAlias(guid, dump.alias)
+		return logNumbers
+	}
+
+	function addLog(guid, log) {
+		return update(guid, doc => appendLogs(doc, [{ ...log, logNumber: null }])[0])
+	}
+
+	// Documents are saved whole, so a batch of logs is written all at once or not at all
+	function addLogs(guid, logs) {
+		return update(guid, doc => appendLogs(doc, logs))
+	}
+
+	function findLogNumbers(guid, logNumbers) {
+		return read(guid, doc => {
+			const wanted = new Set(logNumbers)
+			return doc.requests.filter(log => wanted.has(log.logNumber)).map(log => log.logNumber)
+		})
+	}
+
+	function listLogs(guid, filter, { limit, oldestFirst, logNumbers } = {}) {
+		return read(guid, doc => {
+			const wanted = logNumbers && new Set(logNumbers.map(Number))
+			const logs = doc.requests
+				.filter(log => matchesLogFilter(filter, guid, log) && (!wanted || wanted.has(log.logNumber)))
+				.sort((a, b) => (oldestFirst ? a.logNumber - b.logNumber : b.logNumber - a.logNumber))
+
+			return copy(limit ? logs.slice(0, limit) : logs)
+		})
+	}
+
+	function getLog(guid, logNumber) {
+		return read(guid, doc => {
+			const log = doc.requests.find(log => log.logNumber === Number(logNumber))
+			return log ? copy(log) : null
+		})
+	}
+
+	function deleteLogs(guid, logNumbers = null) {
+		return update(guid, doc => {
+			const removed = logNumbers && new Set(logNumbers.map(Number))
+			const keep = item => removed && !removed.has(item.logNumber)
+
+			// Remove replays, forwards, notifications and attachments along with their logs
+			doc.requests = doc.requests.filter(keep)
+			doc.replays = doc.replays.filter(keep)
+			doc.forwards = doc.forwards.filter(keep)
+			doc.notifications = doc.notifications.filter(keep)
+			doc.attachments = doc.attachments.filter(keep)
+			return true
+		})
+	}
+
+	function getAttachment(guid, logNumber, attachment) {
+		return read(guid, doc => {
+			const log = doc.requests.find(log => log.logNumber === Number(logNumber))
+			const info = log && log.attachments.find(file => file.attachment === Number(attachment))
+			const stored = info && findAttachment(doc, log.logNumber, info.attachment)
+			return stored ? { ...copy(info), content: Buffer.from(stored.content, 'base64') } : null
+		})
+	}
+
+	function logSizes(guid) {
+		return read(guid, doc => doc.requests
+			.map(log => ({ logNumber: log.logNumber, timestamp: log.timestamp, size: logSize(log) }))
+			.sort((a, b) => b.logNumber - a.logNumber))
+	}
+
+	function listContractResults(guid, { from, to } = {}) {
+		return read(guid, doc => doc.requests
+			.filter(log => log.contract && inTimeRange(log.timestamp, { from, to }))
+			.sort((a, b) => a.logNumber - b.logNumber)
+			.map(log => ({ logNumber: log.logNumber, timestamp: log.timestamp, ...copy(log.contract) })))
+	}
+
+	function getStats(guid, options) {
+		return read(guid, doc => computeStats(doc.requests, guid, options))
+	}
+
+	function setResponseStatus(guid, logNumber, status) {
+		return update(guid, doc => {
+			const log = doc.requests.find(stored => stored.logNumber === Number(logNumber))
+			if (log) log.responseStatus = status
+			return Boolean(log)
+		})
+	}
+
+	function getRejections(guid) {
+		return read(guid, doc => copy(doc.rejections))
+	}
+
+	function addRejections(guid, rejections) {
+		return update(guid, doc => {
+			Object.entries(rejections).forEach(([reason, { count, lastRejected }]) => {
+				const previous = doc.rejections[reason] || { count: 0 }
+				doc.rejections[reason] = { count: previous.count + count, lastRejected }
+			})
+			return true
+		})
+	}
+
+	function addReplay(guid, replay) {
+		return update(guid, doc => {
+			const id = nextId(doc.replays)
+			doc.replays.push({ id, ...copy(replay), logNumber: Number(replay.logNumber) })
+			return id
+		})
+	}
+
+	function listReplays(guid, logNumber) {
+		return read(guid, doc => copy(doc.replays.filter(replay => replay.logNumber === Number(logNumber)).reverse()))
+	}
+
+	function addForwards(guid, forwards) {
+		return update(guid, doc => {
+			forwards.forEach(forward => {
+				doc.forwards.push({ id: nextId(doc.forwards), ...copy(forward) })
+			})
+			return true
+		})
+	}
+
+	function listForwards(guid, logNumber) {
+		return read(guid, doc => copy(doc.forwards.filter(forward => forward.logNumber === Number(logNumber))))
+	}
+
+	function addNotification(guid, entry) {
+		return update(guid, doc => {
+			const id = nextId(doc.notifications)
+			doc.notifications.push({ id, ...copy(entry) })
+			return id
+		})
+	}
+
+	function listNotifications(guid, { logNumber, limit } = {}) {
+		return read(guid, doc => {
+			const entries = doc.notifications.filter(entry => !logNumber || entry.logNumber === Number(logNumber)).reverse()
+			return copy(limit ? entries.slice(0, limit) : entries)
+		})
+	}
+
+	function getSettings(guid) {
+		return read(guid, doc => copy(doc.settings))
+	}
+
+	function setSetting(guid, key, value) {
+		return update(guid, doc => {
+			if (value === null) delete doc.settings[key]
+			else doc.settings[key] = copy(value)
+			return true
+		})
+	}
+
+	function getStore(guid) {
+		return read(guid, doc => copy(doc.store))
+	}
+
+	function updateStore(guid, changes) {
+		return update(guid, doc => {
+			Object.entries(changes).forEach(([key, value]) => {
+				if (value === null) delete doc.store[key]
+				else doc.store[key] = copy(value)
+			})
+			return true
+		})
+	}
+
+	function listResponses(guid) {
+		return read(guid, doc => copy(doc.responses))
+	}
+
+	function addResponse(guid, rule) {
+		return update(guid, doc => {
+			const stored = { id: nextId(doc.responses), ...copy(rule), enabled: Boolean(rule.enabled) }
+			doc.responses.push(stored)
+			return copy(stored)
+		})
+	}
+
+	function updateResponse(guid, id, rule) {
+		return update(guid, doc => {
+			const index = doc.responses.findIndex(existing => existing.id === Number(id))
+			if (index === -1) return null
+
+			doc.responses[index] = { id: Number(id), ...copy(rule), enabled: Boolean(rule.enabled) }
+			return copy(doc.responses[index])
+		})
+	}
+
+	function deleteResponse(guid, id) {
+		return update(guid, doc => {
+			const before = doc.responses.length
+			doc.responses = doc.responses.filter(rule => rule.id !== Number(id))
+			return doc.responses.length < before
+		})
+	}
+
+	// Documents are rewritten whole on every change, so there is no free space to reclaim
+	async function compact(guid) {
+		return Boolean(await load(guid))
+	}
+
+	async function close() {
+		if (persistence) await persistence.flush()
+		documents.clear()
+	}
+
+	return {
+		listGuids,
+		listUrls,
+		getUrlSummary,
+		getUrl,
+		createUrl,
+		renameUrl,
+		deleteUrl,
+		findAlias,
+		setAlias,
+		dumpUrl,
+		restoreUrl,
+		addLog,
+		addLogs,
+		findLogNumbers,
+		listLogs,
+		getLog,
+		deleteLogs,
+		getAttachment,
+		logSizes,
+		listContractResults,
+		getStats,
+		setResponseStatus,
+		addReplay,
+		listReplays,
+		addForwards,
+		listForwards,
+		addNotification,
+		listNotifications,
+		getSettings,
+		setSetting,
+		getStore,
+		updateStore,
+		getRejections,
+		addRejections,
+		listResponses,
+		addResponse,
+		updateResponse,
+		deleteResponse,
+		compact,
+		close
+	}
+}
+
+// Storage in memory only, for tests and throwaway instances
+function createMemoryStorage() {
+	return createDocumentStorage(null)
+}
+
+// Storage in one <guid>.json file per URL, the format of the original app-json.js server. Files are written
+// to a temporary name and renamed into place, one write at a time per URL.
+function createJsonStorage(dataDir) {
+	const writes = new Map() // guid -> Promise of the latest write
+	const filePath = guid => path.join(dataDir, `${guid}.json`)
+
+	// Queue a write behind any pending one for the same file
+	function queue(guid, write) {
+		const next = (writes.get(guid) || Promise.resolve()).catch(() => {}).then(write)
+		writes.set(guid, next)
+		next.then(() => writes.get(guid) === next && writes.delete(guid), () => {})
+		return next
+	}
+
+	return createDocumentStorage({
+		async list() {
+			const files = await fs.readdir(dataDir)
+			return files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'))
+		},
+
+		async load(guid) {
+			// A document dropped from memory may still be being written
+			if (writes.has(guid)) await writes.get(guid).catch(() => {})
+
+			let text, stats
+			try {
+				text = await fs.readFile(filePath(guid), 'utf8')
+				stats = await fs.stat(filePath(guid))
+			} catch (err) {
+				if (err.code === 'ENOENT') return null
+				throw err
+			}
+
+			return normalizeDocument(JSON.parse(text), { created: stats.birthtime.toISOString(), modified: stats.mtime.toISOString() })
+		},
+
+		save(guid, doc) {
+			return queue(guid, async () => {
+				const temporary = `${filePath(guid)}.tmp`
+				await fs.writeFile(temporary, JSON.stringify(doc, null, 2))
+				await fs.rename(temporary, filePath(guid))
+			})
+		},
+
+		remove(guid) {
+			return queue(guid, () => fs.unlink(filePath(guid)).catch(() => {}))
+		},
+
+		async size(guid) {
+			return (await fs.stat(filePath(guid))).size
+		},
+
+		async flush() {
+			await Promise.all([...writes.values()].map(write => write.catch(() => {})))
+		}
+	})
+}
+
+module.exports = { createMemoryStorage, createJsonStorage }
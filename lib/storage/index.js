@@ -0,0 +1,42 @@
+const { createSqliteStorage } = require('./sqlite')
+const { createMemoryStorage, createJsonStorage } = require('./documents')
+
+// Storage backends, selected with the STORAGE environment variable. Each one implements the same
+// promise-based interface; methods taking a GUID resolve null when the URL doesn't exist.
+//
+//   listGuids(), listUrls(), getUrl(guid), createUrl(guid, name), renameUrl(guid, name), deleteUrl(guid)
+//   getUrlSummary(guid)                          One URL as listUrls lists it, with its request and rejection counts
+//   findAlias(alias), setAlias(guid, alias)      The GUID an alias points to; setAlias resolves false if it's taken
+//   dumpUrl(guid), restoreUrl(dump)               Copy a URL with everything tied to it (migration, import)
+//   addLog(guid, log), addLogs(guid, logs)        Store captured logs, resolving with their log numbers
+//   listLogs(guid, filter, { limit, oldestFirst, logNumbers }), getLog(guid, logNumber)
+//   findLogNumbers(guid, logNumbers), deleteLogs(guid, logNumbers), logSizes(guid)
+//   getAttachment(guid, logNumber, attachment)   An uploaded file's details with its content as a Buffer
+//   listContractResults(guid, { from, to })      Contract checks of logs, oldest first: { logNumber, timestamp, valid, rule, errors }
+//   getStats(guid, { from, to, interval })       Request counts over time and by method, sub path, source and more
+//   setResponseStatus(guid, logNumber, status)   Record the status a log's request was answered with
+//   addReplay(guid, replay), listReplays(guid, logNumber), addForwards(guid, forwards), listForwards(guid, logNumber)
+//   addNotification(guid, entry), listNotifications(guid, { logNumber, limit })
+//   getSettings(guid), setSetting(guid, key, value)
+//   getStore(guid), updateStore(guid, changes)    A URL's key/value store for scripts; a null value deletes its key
+//   getRejections(guid), addRejections(guid, rejections)   Requests turned away by reason: { reason: { count, lastRejected } }
+//   listResponses(guid), addResponse(guid, rule), updateResponse(guid, id, rule), deleteResponse(guid, id)
+//   compact(guid), close()
+//
+// Logs are written as captured (rawBody as a Buffer) and read back in the API shape (rawBody as base64).
+const STORAGE_TYPES = {
+	sqlite: dataDir => createSqliteStorage(dataDir), // One <guid>.db file per URL
+	shared: dataDir => createSqliteStorage(dataDir, { shared: true }), // Every URL in storage.sqlite
+	json: dataDir => createJsonStorage(dataDir), // One <guid>.json file per URL, as written by app-json.js
+	memory: () => createMemoryStorage() // Nothing kept after the process exits
+}
+
+// Create the storage backend of the given type over a data directory
+function createStorage(type, dataDir) {
+	if (!STORAGE_TYPES[type]) {
+		throw new Error(`Storage must be one of: ${Object.keys(STORAGE_TYPES).join(', ')}`)
+	}
+	return STORAGE_TYPES[type](dataDir)
+}
+
+module.exports = { STORAGE_TYPES, createStorage }
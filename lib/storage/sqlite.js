@@ -0,0 +1,989 @@
+const fs = require('fs').promises
+const path = require('path')
+const { initDatabase, initSharedDatabase, openDatabase, run, get, all, formatLog } = require('../database')
+const { logFilterSql } = require('../log-filter')
+const { STATS_INTERVALS, TOP_COUNT, subPathSql, sizeBucketSql, formatStats } = require('../stats')
+
+// Per-URL database files kept open at once; the least recently used idle ones are closed beyond this
+const MAX_OPEN_DATABASES = 50
+
+// File holding every URL when the shared database is used
+const SHARED_FILE = 'storage.sqlite'
+
+// GUIDs become file names, so anything else (such as an encoded "../") is treated as a missing URL
+const GUID_PATTERN = /^[\w-]+$/
+
+// Size of a stored log as counted by retention: headers, parsed and raw bodies
+const LOG_SIZE = 'COALESCE(length(headers), 0) + COALESCE(length(body), 0) + COALESCE(length(rawBody), 0)'
+
+const REQUEST_FIELDS = 'timestamp, method, url, headers, body, rawBody, bodySize, contentType, contentEncoding, signatureValid, signatureReason, fault, contractValid, contractRule, contractErrors, script, attachments, remoteAddress, responseStatus, remotePort, httpVersion, tlsProtocol, tlsCipher, receiveTime, rejected, parseError'
+const REQUEST_VALUES = placeholders(REQUEST_FIELDS.split(',').length)
+const OUTBOUND_FIELDS = 'logNumber, timestamp, target, status, headers, body, latency, error'
+const RULE_FIELDS = 'method, subPath, status, headers, body, delay, enabled'
+const NOTIFICATION_FIELDS = 'logNumber, timestamp, rule, action, target, outcome, detail, latency, error'
+
+// SQL fragments restricting queries to one URL: empty for per-URL files, a guid condition in the shared database
+const FILE_SCOPE = { where: '', and: '', column: '', value: '', params: [] }
+
+function sharedScope(guid) {
+	return { where: ' WHERE guid = ?', and: ' AND guid = ?', column: 'guid, ', value: '?, ', params: [guid] }
+}
+
+function placeholders(count) {
+	return new Array(count).fill('?').join(', ')
+}
+
+// Column values for a log as captured (rawBody as a Buffer), in REQUEST_FIELDS order
+function requestValues(log) {
+	return [
+		log.timestamp,
+		log.method,
+		log.url,
+		JSON.stringify(log.headers),
+		JSON.stringify(log.body),
+		log.rawBody || null,
+		log.bodySize === undefined ? null : log.bodySize,
+		log.contentType || null,
+		log.contentEncoding || null,
+		log.signature ? Number(log.signature.valid) : null,
+		log.signature ? log.signature.reason : null,
+		log.fault ? JSON.stringify(log.fault) : null,
+		log.contract ? Number(log.contract.valid) : null,
+		log.contract ? log.contract.rule : null,
+		log.contract ? JSON.stringify(log.contract.errors) : null,
+		log.script ? JSON.stringify(log.script) : null,
+		log.attachments && log.attachments.length ? JSON.stringify(log.attachments.map(attachmentInfo)) : null,
+		log.remoteAddress || null,
+		log.responseStatus || null,
+		log.remotePort || null,
+		log.httpVersion || null,
+		log.tlsProtocol || null,
+		log.tlsCipher || null,
+		log.receiveTime === undefined ? null : log.receiveTime,
+		log.rejected ? JSON.stringify(log.rejected) : null,
+		log.parseError || null
+	]
+}
+
+// An attachment's details as kept with its log, without the content
+function attachmentInfo({ content, ...info }) {
+	return info
+}
+
+// Column values for a replay or forwarding attempt, in OUTBOUND_FIELDS order
+function outboundValues(outbound) {
+	return [
+		outbound.logNumber,
+		outbound.timestamp,
+		outbound.target,
+		outbound.status,
+		outbound.headers ? JSON.stringify(outbound.headers) : null,
+		outbound.body,
+		outbound.latency,
+		outbound.error
+	]
+}
+
+// Column values for a notification history entry, in NOTIFICATION_FIELDS order
+function notificationValues(entry) {
+	return NOTIFICATION_FIELDS.split(', ').map(field => (entry[field] === undefined ? null : entry[field]))
+}
+
+// Column values for a mock response rule, in RULE_FIELDS order
+function ruleValues(rule) {
+	return [
+		rule.method,
+		rule.subPath,
+		rule.status,
+		JSON.stringify(rule.headers || {}),
+		rule.body,
+		rule.delay || 0,
+		rule.enabled === false || rule.enabled === 0 ? 0 : 1
+	]
+}
+
+// Convert a stored replay or forwarding attempt row into the shape returned by the API
+function formatOutbound({ guid, ...row }) {
+	return {
+		...row,
+		headers: row.headers ? JSON.parse(row.headers) : null
+	}
+}
+
+// Convert a stored notification history row into the shape returned by the API
+function formatNotification({ guid, ...row }) {
+	return row
+}
+
+// Convert a stored mock response rule row into the shape returned by the API
+function formatRule({ guid, ...row }) {
+	return {
+		...row,
+		headers: JSON.parse(row.headers || '{}'),
+		enabled: Boolean(row.enabled)
+	}
+}
+
+// Rejection counts by reason ({ reason: { count, lastRejected } }) with their total, from rows of the rejections table
+function formatRejections(rows) {
+	const rejections = {}
+	rows.forEach(row => {
+		rejections[row.reason] = { count: row.count, lastRejected: row.lastRejected }
+	})
+	return { rejections, rejectedCount: rows.reduce((total, row) => total + row.count, 0) }
+}
+
+function close(db) {
+	return new Promise(resolve => db.close(() => resolve()))
+}
+
+// Storage in SQLite, either as one database file per URL (<guid>.db, the original layout) or as a single
+// shared database holding every URL. Connections are opened once and reused rather than per request.
+function createSqliteStorage(dataDir, { shared = false } = {}) {
+	const connections = new Map() // Per-URL files: guid -> { ready, db, users, lastUsed }
+	let sharedConnection = null // Promise of the shared database's connection
+	let aliasIndex = null // Per-URL files: Promise of a Map of alias -> guid, built on first use
+
+	const dbPath = guid => path.join(dataDir, shared ? SHARED_FILE : `${guid}.db`)
+
+	// Open the shared database on first use, creating its schema
+	function openShared() {
+		if (!sharedConnection) sharedConnection = initSharedDatabase(dbPath()).then(openDatabase)
+		return sharedConnection
+	}
+
+	// Get the cached connection to a URL's database file, opening it (and upgrading its schema) the first
+	// time. Resolves null if the file doesn't exist. Pair with release() once done.
+	async function acquire(guid) {
+		if (!connections.has(guid)) {
+			try {
+				await fs.access(dbPath(guid))
+			} catch (err) {
+				return null
+			}
+
+			if (!connections.has(guid)) {
+				const ready = initDatabase(dbPath(guid)).then(openDatabase)
+				ready.catch(() => connections.delete(guid))
+				connections.set(guid, { ready, users: 0, lastUsed: 0 })
+			}
+		}
+
+		const entry = connections.get(guid)
+		entry.users++
+		try {
+			entry.db = await entry.ready
+		} catch (err) {
+			entry.users--
+			throw err
+		}
+		return entry
+	}
+
+	function release(entry) {
+		entry.users--
+		entry.lastUsed = Date.now()
+
+		// Close the least recently used idle connections beyond the limit
+		if (connections.size <= MAX_OPEN_DATABASES) return
+		const idle = [...connections].filter(([, other]) => other.db && !other.users).sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+		idle.slice(0, connections.size - MAX_OPEN_DATABASES).forEach(([guid, other]) => {
+			connections.delete(guid)
+			other.db.close()
+		})
+	}
+
+	// Run fn(db, scope) against a URL's data, resolving null if the URL doesn't exist
+	async function withUrl(guid, fn) {
+		if (!GUID_PATTERN.test(guid)) return null
+
+		if (shared) {
+			const db = await openShared()
+			if (!(await get(db, `SELECT 1 FROM urls WHERE guid = ?`, [guid]))) return null
+			return fn(db, sharedScope(guid))
+		}
+
+		const entry = await acquire(guid)
+		if (!entry) return null
+
+		try {
+			return await fn(entry.db, FILE_SCOPE)
+		} finally {
+			release(entry)
+		}
+	}
+
+	// Run fn(db, scope) in a transaction on a connection of its own, so statements issued by concurrent
+	// requests on the cached connection can't end up inside it. The schema must already exist.
+	async function transaction(guid, fn) {
+		const db = await openDatabase(dbPath(guid))
+
+		try {
+			await run(db, 'BEGIN IMMEDIATE')
+			const result = await fn(db, shared ? sharedScope(guid) : FILE_SCOPE)
+			await run(db, 'COMMIT')
+			return result
+		} catch (err) {
+			await run(db, 'ROLLBACK').catch(() => {})
+			throw err
+		} finally {
+			await close(db)
+		}
+	}
+
+	// Record when a URL in the shared database last changed (per-URL files use their modification time)
+	async function touch(db, guid) {
+		if (shared) await run(db, `UPDATE urls SET modified = ? WHERE guid = ?`, [new Date().toISOString(), guid])
+	}
+
+	// Insert logs, resolving with their log numbers. Logs without a logNumber are numbered after the highest
+	// in use: by AUTOINCREMENT in per-URL files, and by the urls.lastLogNumber counter in the shared database.
+	async function insertLogs(db, scope, guid, logs) {
+		let counter = shared ? (await get(db, `SELECT lastLogNumber FROM urls WHERE guid = ?`, [guid])).lastLogNumber : 0
+		const logNumbers = []
+
+		for (const log of logs) {
+			let logNumber = log.logNumber || null
+			if (shared) {
+				logNumber = logNumber || counter + 1
+				counter = Math.max(counter, logNumber)
+			}
+
+			const result = await run(
+				db,
+				`INSERT INTO requests (${scope.column}logNumber, ${REQUEST_FIELDS}) VALUES (${scope.value}?, ${REQUEST_VALUES})`,
+				[...scope.params, logNumber, ...requestValues(log)]
+			)
+			logNumbers.push(shared ? logNumber : result.lastID)
+			await insertAttachments(db, scope, logNumbers[logNumbers.length - 1], log.attachments)
+		}
+
+		if (shared) {
+			await run(db, `UPDATE urls SET lastLogNumber = ?, modified = ? WHERE guid = ?`, [counter, new Date().toISOString(), guid])
+		}
+
+		return logNumbers
+	}
+
+	// Store the content of a log's attachments; those without content (such as imported ones) only keep their details
+	async function insertAttachments(db, scope, logNumber, attachments = []) {
+		for (const { attachment, content } of attachments) {
+			if (!content) continue
+			await run(
+				db,
+				`INSERT INTO attachments (${scope.column}logNumber, attachment, content) VALUES (${scope.value}?, ?, ?)`,
+				[...scope.params, logNumber, attachment, Buffer.from(content)]
+			)
+		}
+	}
+
+	async function listGuids() {
+		if (shared) return (await all(await openShared(), `SELECT guid FROM urls ORDER BY created`)).map(row => row.guid)
+
+		const files = await fs.readdir(dataDir)
+		return files.filter(file => file.endsWith('.db')).map(file => path.basename(file, '.db'))
+	}
+
+	// URLs as listed, with their request and rejection counts, from the shared database (all of them, or the
+	// one with a GUID)
+	async function sharedSummaries(guid) {
+		const where = guid ? 'WHERE urls.guid = ?' : ''
+		const params = guid ? [guid] : []
+		const rows = await all(
+			await openShared(),
+			`SELECT urls.guid, name, alias, created, modified, COUNT(requests.id) AS requestCount,
+				MIN(timestamp) AS firstRequestTime, MAX(timestamp) AS lastRequestTime, COALESCE(SUM(${LOG_SIZE}), 0) AS storageBytes
+			FROM urls LEFT JOIN requests ON requests.guid = urls.guid ${where}
+			GROUP BY urls.guid ORDER BY created`,
+			params
+		)
+		const rejections = await all(await openShared(), `SELECT guid, reason, count, lastRejected FROM rejections ${guid ? 'WHERE guid = ?' : ''}`, params)
+
+		return rows.map(row => ({
+			...row,
+			name: row.name || 'Untitled',
+			alias: row.alias || null,
+			created: new Date(row.created),
+			modified: new Date(row.modified),
+			...formatRejections(rejections.filter(rejection => rejection.guid === row.guid))
+		}))
+	}
+
+	// A URL as listUrls lists it, with its request and rejection counts
+	async function getUrlSummary(guid) {
+		if (shared) {
+			if (!GUID_PATTERN.test(guid)) return null
+			const [summary] = await sharedSummaries(guid)
+			return summary || null
+		}
+
+		return withUrl(guid, async db => {
+			const row = await get(db, `SELECT name, alias FROM metadata`)
+			const { firstRequestTime, lastRequestTime, requestCount } = await get(
+				db,
+				`SELECT MIN(timestamp) as firstRequestTime, MAX(timestamp) as lastRequestTime, COUNT(*) as requestCount FROM requests`
+			)
+			const rejections = await all(db, `SELECT reason, count, lastRejected FROM rejections`)
+			const stats = await fs.stat(dbPath(guid))
+
+			return {
+				...formatRejections(rejections),
+				guid,
+				name: (row && row.name) || 'Untitled',
+				alias: (row && row.alias) || null,
+				created: stats.birthtime,
+				modified: stats.mtime,
+				storageBytes: stats.size,
+				requestCount,
+				firstRequestTime,
+				lastRequestTime
+			}
+		})
+	}
+
+	async function listUrls() {
+		if (shared) return sharedSummaries(null)
+
+		const urls = await Promise.all((await listGuids()).map(getUrlSummary))
+		return urls.filter(Boolean)
+	}
+
+	function getUrl(guid) {
+		return withUrl(guid, async db => {
+			if (shared) {
+				const row = await get(db, `SELECT name, alias, created FROM urls WHERE guid = ?`, [guid])
+				return { guid, name: row.name || 'Untitled', alias: row.alias || null, created: new Date(row.created) }
+			}
+
+			const row = await get(db, `SELECT name, alias FROM metadata`)
+			const stats = await fs.stat(dbPath(guid))
+			return { guid, name: (row && row.name) || 'Untitled', alias: (row && row.alias) || null, created: stats.birthtime }
+		})
+	}
+
+	async function createUrl(guid, name) {
+		if (shared) {
+			const now = new Date().toISOString()
+			await run(await openShared(), `INSERT INTO urls (guid, name, created, modified) VALUES (?, ?, ?, ?)`, [guid, name, now, now])
+		} else {
+			await initDatabase(dbPath(guid))
+			await withUrl(guid, db => run(db, `INSERT INTO metadata (name) VALUES (?)`, [name]))
+		}
+
+		return { guid, name }
+	}
+
+	function renameUrl(guid, name) {
+		return withUrl(guid, async db => {
+			if (shared) {
+				await run(db, `UPDATE urls SET name = ?, modified = ? WHERE guid = ?`, [name, new Date().toISOString(), guid])
+			} else if (!(await run(db, `UPDATE metadata SET name = ?`, [name])).changes) {
+				await run(db, `INSERT INTO metadata (name) VALUES (?)`, [name])
+			}
+			return true
+		})
+	}
+
+	// Index the aliases of every per-URL file, so looking one up doesn't mean opening each file
+	function loadAliases() {
+		if (!aliasIndex) {
+			aliasIndex = (async () => {
+				const aliases = new Map()
+				for (const guid of await listGuids()) {
+					const row = await withUrl(guid, db => get(db, `SELECT alias FROM metadata`))
+					if (row && row.alias) aliases.set(row.alias, guid)
+				}
+				return aliases
+			})()
+			aliasIndex.catch(() => {
+				aliasIndex = null
+			})
+		}
+		return aliasIndex
+	}
+
+	// Drop a URL's alias from the index, if the index has been built
+	async function forgetAlias(guid) {
+		if (!aliasIndex) return
+		const aliases = await aliasIndex
+		aliases.forEach((owner, alias) => owner === guid && aliases.delete(alias))
+	}
+
+	// Resolve the GUID of the URL with an alias, or null if no URL has it
+	async function findAlias(alias) {
+		if (shared) {
+			const row = await get(await openShared(), `SELECT guid FROM urls WHERE alias = ?`, [alias])
+			return row ? row.guid : null
+		}
+		return (await loadAliases()).get(alias) || null
+	}
+
+	// Give a URL an alias (or remove it with null), resolving false if another URL already has the alias
+	async function setAlias(guid, alias) {
+		if (shared) {
+			return withUrl(guid, async db => {
+				try {
+					await run(db, `UPDATE urls SET alias = ?, modified = ? WHERE guid = ?`, [alias, new Date().toISOString(), guid])
+				} catch (err) {
+					if (err.code === 'SQLITE_CONSTRAINT') return false
+					throw err
+				}
+				return true
+			})
+		}
+
+		const aliases = await loadAliases()
+		return withUrl(guid, async db => {
+			if (alias && aliases.has(alias) && aliases.get(alias) !== guid) return false
+
+			// Updated before writing, so a concurrent request can't take the same alias
+			aliases.forEach((owner, name) => owner === guid && aliases.delete(name))
+			if (alias) aliases.set(alias, guid)
+			if (!(await run(db, `UPDATE metadata SET alias = ?`, [alias])).changes) {
+				await run(db, `INSERT INTO metadata (name, alias) VALUES (?, ?)`, [null, alias])
+			}
+			return true
+		})
+	}
+
+	async function deleteUrl(guid) {
+		if (!GUID_PATTERN.test(guid)) return false
+
+		if (shared) {
+			await openShared()
+			return transaction(guid, async db => {
+				for (const table of ['replays', 'forwards', 'notifications', 'requests', 'responses', 'settings', 'store', 'attachments', 'rejections']) {
+					await run(db, `DELETE FROM ${table} WHERE guid = ?`, [guid])
+				}
+				return (await run(db, `DELETE FROM urls WHERE guid = ?`, [guid])).changes > 0
+			})
+		}
+
+		// Close the cached connection before removing its file
+		const entry = connections.get(guid)
+		if (entry) {
+			connections.delete(guid)
+			await entry.ready.then(close, () => {})
+		}
+
+		try {
+			await fs.unlink(dbPath(guid))
+		} catch (err) {
+			return false
+		}
+		await forgetAlias(guid)
+		return true
+	}
+
+	async function dumpUrl(guid) {
+		const url = await getUrl(guid)
+		if (!url) return null
+
+		return withUrl(guid, async (db, scope) => {
+			const contents = new Map() // "<logNumber> <attachment>" -> content
+			const attachments = await all(db, `SELECT logNumber, attachment, content FROM attachments${scope.where}`, scope.params)
+			attachments.forEach(row => contents.set(`${row.logNumber} ${row.attachment}`, Buffer.from(row.content)))
+
+			return {
+				...url,
+				created: url.created.toISOString(),
+				settings: await getSettings(guid),
+				rejections: await getRejections(guid),
+				store: await getStore(guid),
+				responses: await listResponses(guid),
+				requests: (await all(db, `SELECT * FROM requests${scope.where} ORDER BY logNumber`, scope.params)).map(row => {
+					const log = formatLog(row)
+					return {
+						...log,
+						rawBody: row.rawBody ? Buffer.from(row.rawBody) : null,
+						attachments: log.attachments.map(info => ({ ...info, content: contents.get(`${log.logNumber} ${info.attachment}`) || null }))
+					}
+				}),
+				replays: (await all(db, `SELECT * FROM replays${scope.where} ORDER BY id`, scope.params)).map(formatOutbound),
+				forwards: (await all(db, `SELECT * FROM forwards${scope.where} ORDER BY id`, scope.params)).map(formatOutbound),
+				notifications: (await all(db, `SELECT * FROM notifications${scope.where} ORDER BY id`, scope.params)).map(formatNotification)
+			}
+		})
+	}
+
+	async function restoreUrl(dump) {
+		const { guid } = dump
+		if (!GUID_PATTERN.test(guid)) throw new Error(`Invalid GUID: ${guid}`)
+		if (await withUrl(guid, () => true)) throw new Error(`URL ${guid} already exists`)
+
+		if (shared) await openShared()
+		else await initDatabase(dbPath(guid))
+
+		let logNumbers
+		try {
+			logNumbers = await transaction(guid, async (db, scope) => {
+				if (shared) {
+					const created = dump.created || new Date().toISOString()
+					await run(db, `INSERT INTO urls (guid, name, created, modified) VALUES (?, ?, ?, ?)`, [guid, dump.name, created, created])
+				} else {
+					await run(db, `INSERT INTO metadata (name) VALUES (?)`, [dump.name])
+				}
+
+				for (const [key, value] of Object.entries(dump.settings || {})) {
+					await run(db, `INSERT INTO settings (${scope.column}key, value) VALUES (${scope.value}?, ?)`, [...scope.params, key, JSON.stringify(value)])
+				}
+
+				for (const [key, value] of Object.entries(dump.store || {})) {
+					await run(db, `INSERT INTO store (${scope.column}key, value) VALUES (${scope.value}?, ?)`, [...scope.params, key, JSON.stringify(value)])
+				}
+
+				for (const [reason, { count, lastRejected }] of Object.entries(dump.rejections || {})) {
+					await run(
+						db,
+						`INSERT INTO rejections (${scope.column}reason, count, lastRejected) VALUES (${scope.value}?, ?, ?)`,
+						[...scope.params, reason, count, lastRejected]
+					)
+				}
+
+				for (const rule of dump.responses || []) {
+					await run(db, `INSERT INTO responses (${scope.column}${RULE_FIELDS}) VALUES (${scope.value}${placeholders(7)})`, [...scope.params, ...ruleValues(rule)])
+				}
+
+				for (const replay of dump.replays || []) {
+					await run(db, `INSERT INTO replays (${scope.column}${OUTBOUND_FIELDS}) VALUES (${scope.value}${placeholders(8)})`, [...scope.params, ...outboundValues(replay)])
+				}
+
+				for (const forward of dump.forwards || []) {
+					await run(
+						db,
+						`INSERT INTO forwards (${scope.column}attempt, ${OUTBOUND_FIELDS}) VALUES (${scope.value}?, ${placeholders(8)})`,
+						[...scope.params, forward.attempt, ...outboundValues(forward)]
+					)
+				}
+
+				for (const entry of dump.notifications || []) {
+					await run(
+						db,
+						`INSERT INTO notifications (${scope.column}${NOTIFICATION_FIELDS}) VALUES (${scope.value}${placeholders(9)})`,
+						[...scope.params, ...notificationValues(entry)]
+					)
+				}
+
+				return insertLogs(db, scope, guid, dump.requests || [])
+			})
+		} catch (err) {
+			// Don't leave an empty database behind for a URL that couldn't be restored
+			if (!shared) await fs.unlink(dbPath(guid)).catch(() => {})
+			throw err
+		}
+
+		// The alias is left off if another URL has taken it in the meantime
+		if (dump.alias) await setAlias(guid, dump.alias)
+		return logNumbers
+	}
+
+	function addLog(guid, log) {
+		return withUrl(guid, async (db, scope) => {
+			if (!shared) {
+				const logNumber = (await run(db, `INSERT INTO requests (${REQUEST_FIELDS}) VALUES (${REQUEST_VALUES})`, requestValues(log))).lastID
+				await insertAttachments(db, scope, logNumber, log.attachments)
+				return logNumber
+			}
+
+			// RETURNING hands back the URL's next log number atomically
+			const { lastLogNumber } = await get(
+				db,
+				`UPDATE urls SET lastLogNumber = lastLogNumber + 1, modified = ? WHERE guid = ? RETURNING lastLogNumber`,
+				[log.timestamp, guid]
+			)
+			await run(
+				db,
+				`INSERT INTO requests (${scope.column}logNumber, ${REQUEST_FIELDS}) VALUES (${scope.value}?, ${REQUEST_VALUES})`,
+				[...scope.params, lastLogNumber, ...requestValues(log)]
+			)
+			await insertAttachments(db, scope, lastLogNumber, log.attachments)
+			return lastLogNumber
+		})
+	}
+
+	async function addLogs(guid, logs) {
+		if (!(await withUrl(guid, () => true))) return null
+		return transaction(guid, (db, scope) => insertLogs(db, scope, guid, logs))
+	}
+
+	function findLogNumbers(guid, logNumbers) {
+		return withUrl(guid, async (db, scope) => {
+			const rows = await all(
+				db,
+				`SELECT logNumber FROM requests WHERE logNumber IN (SELECT value FROM json_each(?))${scope.and}`,
+				[JSON.stringify(logNumbers), ...scope.params]
+			)
+			return rows.map(row => row.logNumber)
+		})
+	}
+
+	function listLogs(guid, filter, { limit, oldestFirst, logNumbers } = {}) {
+		return withUrl(guid, async (db, scope) => {
+			const { clauses, params } = logFilterSql(filter, guid)
+
+			if (shared) {
+				clauses.unshift('guid = ?')
+				params.unshift(guid)
+			}
+
+			if (logNumbers) {
+				clauses.push('logNumber IN (SELECT value FROM json_each(?))')
+				params.push(JSON.stringify(logNumbers.map(Number)))
+			}
+
+			const rows = await all(
+				db,
+				`SELECT * FROM requests ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+				ORDER BY logNumber ${oldestFirst ? 'ASC' : 'DESC'}${limit ? ' LIMIT ?' : ''}`,
+				limit ? [...params, limit] : params
+			)
+			return rows.map(formatLog)
+		})
+	}
+
+	function getLog(guid, logNumber) {
+		return withUrl(guid, async (db, scope) => {
+			const row = await get(db, `SELECT * FROM requests WHERE logNumber = ?${scope.and}`, [logNumber, ...scope.params])
+			return row ? formatLog(row) : null
+		})
+	}
+
+	function deleteLogs(guid, logNumbers = null) {
+		return withUrl(guid, async (db, scope) => {
+			const where = logNumbers ? ` WHERE logNumber IN (SELECT value FROM json_each(?))${scope.and}` : scope.where
+			const params = logNumbers ? [JSON.stringify(logNumbers.map(Number)), ...scope.params] : scope.params
+
+			// Remove replays, forwards, notifications and attachments before their logs
+			await run(db, `DELETE FROM replays${where}`, params)
+			await run(db, `DELETE FROM forwards${where}`, params)
+			await run(db, `DELETE FROM notifications${where}`, params)
+			await run(db, `DELETE FROM attachments${where}`, params)
+			await run(db, `DELETE FROM requests${where}`, params)
+			await touch(db, guid)
+			return true
+		})
+	}
+
+	function getAttachment(guid, logNumber, attachment) {
+		return withUrl(guid, async (db, scope) => {
+			const log = await get(db, `SELECT attachments FROM requests WHERE logNumber = ?${scope.and}`, [logNumber, ...scope.params])
+			const info = log && JSON.parse(log.attachments || '[]').find(file => file.attachment === Number(attachment))
+			if (!info) return null
+
+			const row = await get(
+				db,
+				`SELECT content FROM attachments WHERE logNumber = ? AND attachment = ?${scope.and}`,
+				[logNumber, attachment, ...scope.params]
+			)
+			return row ? { ...info, content: Buffer.from(row.content) } : null
+		})
+	}
+
+	function logSizes(guid) {
+		return withUrl(guid, (db, scope) => all(
+			db,
+			`SELECT logNumber, timestamp, ${LOG_SIZE} AS size FROM requests${scope.where} ORDER BY logNumber DESC`,
+			scope.params
+		))
+	}
+
+	// Count a URL's requests in a time range by interval, method, sub path, source IP, user agent, payload size
+	// and response status, each grouped in SQL rather than by reading the logs
+	function getStats(guid, options) {
+		return withUrl(guid, async (db, scope) => {
+			const where = `WHERE (? IS NULL OR julianday(timestamp) >= julianday(?)) AND (? IS NULL OR julianday(timestamp) <= julianday(?))${scope.and}`
+			const params = [options.from, options.from, options.to, options.to, ...scope.params]
+			const count = (value, { top = false, present = false } = {}) => all(
+				db,
+				`SELECT ${value} AS value, COUNT(*) AS count FROM requests ${where}${present ? ` AND ${value} IS NOT NULL` : ''}
+				GROUP BY value ORDER BY count DESC, value${top ? ` LIMIT ${TOP_COUNT}` : ''}`,
+				params
+			)
+
+			const totals = await get(
+				db,
+				`SELECT COUNT(*) AS total, MIN(timestamp) AS firstRequestTime, MAX(timestamp) AS lastRequestTime FROM requests ${where}`,
+				params
+			)
+
+			return formatStats(options, {
+				...totals,
+				timeline: await all(
+					db,
+					`SELECT substr(timestamp, 1, ${STATS_INTERVALS[options.interval]}) AS value, COUNT(*) AS count FROM requests ${where}
+					GROUP BY value ORDER BY value`,
+					params
+				),
+				methods: await count('method'),
+				subPaths: await count(subPathSql(guid), { top: true }),
+				sourceIps: await count('remoteAddress', { top: true, present: true }),
+				userAgents: await count(`json_extract(headers, '$."user-agent"')`, { top: true, present: true }),
+				sizes: await count(sizeBucketSql()),
+				statuses: await count('responseStatus', { present: true })
+			})
+		})
+	}
+
+	// Record the status a logged request was answered with, once the response has been sent
+	function setResponseStatus(guid, logNumber, status) {
+		return withUrl(guid, async (db, scope) => {
+			const result = await run(db, `UPDATE requests SET responseStatus = ? WHERE logNumber = ?${scope.and}`, [status, logNumber, ...scope.params])
+			return result.changes > 0
+		})
+	}
+
+	function listContractResults(guid, { from, to } = {}) {
+		return withUrl(guid, async (db, scope) => {
+			const rows = await all(
+				db,
+				`SELECT logNumber, timestamp, contractValid, contractRule, contractErrors FROM requests
+				WHERE contractValid IS NOT NULL AND (? IS NULL OR julianday(timestamp) >= julianday(?)) AND (? IS NULL OR julianday(timestamp) <= julianday(?))${scope.and}
+				ORDER BY logNumber`,
+				[from || null, from || null, to || null, to || null, ...scope.params]
+			)
+			return rows.map(row => ({
+				logNumber: row.logNumber,
+				timestamp: row.timestamp,
+				valid: Boolean(row.contractValid),
+				rule: row.contractRule,
+				errors: JSON.parse(row.contractErrors || '[]')
+			}))
+		})
+	}
+
+	function addReplay(guid, replay) {
+		return withUrl(guid, async (db, scope) => {
+			const result = await run(
+				db,
+				`INSERT INTO replays (${scope.column}${OUTBOUND_FIELDS}) VALUES (${scope.value}${placeholders(8)})`,
+				[...scope.params, ...outboundValues(replay)]
+			)
+			return result.lastID
+		})
+	}
+
+	function listReplays(guid, logNumber) {
+		return withUrl(guid, async (db, scope) => {
+			const rows = await all(db, `SELECT * FROM replays WHERE logNumber = ?${scope.and} ORDER BY id DESC`, [logNumber, ...scope.params])
+			return rows.map(formatOutbound)
+		})
+	}
+
+	function addForwards(guid, forwards) {
+		return withUrl(guid, async (db, scope) => {
+			for (const forward of forwards) {
+				await run(
+					db,
+					`INSERT INTO forwards (${scope.column}attempt, ${OUTBOUND_FIELDS}) VALUES (${scope.value}?, ${placeholders(8)})`,
+					[...scope.params, forward.attempt, ...outboundValues(forward)]
+				)
+			}
+			return true
+		})
+	}
+
+	function listForwards(guid, logNumber) {
+		return withUrl(guid, async (db, scope) => {
+			const rows = await all(db, `SELECT * FROM forwards WHERE logNumber = ?${scope.and} ORDER BY id`, [logNumber, ...scope.params])
+			return rows.map(formatOutbound)
+		})
+	}
+
+	function addNotification(guid, entry) {
+		return withUrl(guid, async (db, scope) => {
+			const result = await run(
+				db,
+				`INSERT INTO notifications (${scope.column}${NOTIFICATION_FIELDS}) VALUES (${scope.value}${placeholders(9)})`,
+				[...scope.params, ...notificationValues(entry)]
+			)
+			return result.lastID
+		})
+	}
+
+	function listNotifications(guid, { logNumber, limit } = {}) {
+		return withUrl(guid, async (db, scope) => {
+			const rows = await all(
+				db,
+				`SELECT * FROM notifications WHERE (? IS NULL OR logNumber = ?)${scope.and} ORDER BY id DESC${limit ? ' LIMIT ?' : ''}`,
+				[logNumber || null, logNumber || null, ...scope.params, ...(limit ? [limit] : [])]
+			)
+			return rows.map(formatNotification)
+		})
+	}
+
+	function getSettings(guid) {
+		return withUrl(guid, async (db, scope) => {
+			const settings = {}
+			const rows = await all(db, `SELECT key, value FROM settings${scope.where}`, scope.params)
+			rows.forEach(row => {
+				settings[row.key] = JSON.parse(row.value)
+			})
+			return settings
+		})
+	}
+
+	function setSetting(guid, key, value) {
+		return withUrl(guid, async (db, scope) => {
+			if (value === null) {
+				await run(db, `DELETE FROM settings WHERE key = ?${scope.and}`, [key, ...scope.params])
+			} else {
+				await run(
+					db,
+					`INSERT OR REPLACE INTO settings (${scope.column}key, value) VALUES (${scope.value}?, ?)`,
+					[...scope.params, key, JSON.stringify(value)]
+				)
+			}
+			return true
+		})
+	}
+
+	function getStore(guid) {
+		return withUrl(guid, async (db, scope) => {
+			const store = {}
+			const rows = await all(db, `SELECT key, value FROM store${scope.where} ORDER BY key`, scope.params)
+			rows.forEach(row => {
+				store[row.key] = JSON.parse(row.value)
+			})
+			return store
+		})
+	}
+
+	// Get how many requests a URL's restrictions turned away, by reason: { reason: { count, lastRejected } }
+	function getRejections(guid) {
+		return withUrl(guid, async (db, scope) => {
+			const rows = await all(db, `SELECT reason, count, lastRejected FROM rejections${scope.where}`, scope.params)
+			return formatRejections(rows).rejections
+		})
+	}
+
+	// Add to a URL's rejection counts ({ reason: count }), all rejected last at lastRejected
+	function addRejections(guid, rejections) {
+		return withUrl(guid, async (db, scope) => {
+			for (const [reason, { count, lastRejected }] of Object.entries(rejections)) {
+				await run(
+					db,
+					`INSERT INTO rejections (${scope.column}reason, count, lastRejected) VALUES (${scope.value}?, ?, ?)
+					ON CONFLICT (${scope.column}reason) DO UPDATE SET count = count + excluded.count, lastRejected = excluded.lastRejected`,
+					[...scope.params, reason, count, lastRejected]
+				)
+			}
+			return true
+		})
+	}
+
+	// Apply changes ({ key: value }, where null deletes the key) to a URL's key/value store
+	function updateStore(guid, changes) {
+		return withUrl(guid, async (db, scope) => {
+			for (const [key, value] of Object.entries(changes)) {
+				if (value === null) {
+					await run(db, `DELETE FROM store WHERE key = ?${scope.and}`, [key, ...scope.params])
+				} else {
+					await run(
+						db,
+						`INSERT OR REPLACE INTO store (${scope.column}key, value) VALUES (${scope.value}?, ?)`,
+						[...scope.params, key, JSON.stringify(value)]
+					)
+				}
+			}
+			return true
+		})
+	}
+
+	function listResponses(guid) {
+		return withUrl(guid, async (db, scope) => {
+			const rows = await all(db, `SELECT * FROM responses${scope.where} ORDER BY id`, scope.params)
+			return rows.map(formatRule)
+		})
+	}
+
+	function addResponse(guid, rule) {
+		return withUrl(guid, async (db, scope) => {
+			const result = await run(
+				db,
+				`INSERT INTO responses (${scope.column}${RULE_FIELDS}) VALUES (${scope.value}${placeholders(7)})`,
+				[...scope.params, ...ruleValues(rule)]
+			)
+			return { id: result.lastID, ...rule, enabled: Boolean(rule.enabled) }
+		})
+	}
+
+	function updateResponse(guid, id, rule) {
+		return withUrl(guid, async (db, scope) => {
+			const result = await run(
+				db,
+				`UPDATE responses SET method = ?, subPath = ?, status = ?, headers = ?, body = ?, delay = ?, enabled = ? WHERE id = ?${scope.and}`,
+				[...ruleValues(rule), id, ...scope.params]
+			)
+			return result.changes ? { id: Number(id), ...rule, enabled: Boolean(rule.enabled) } : null
+		})
+	}
+
+	function deleteResponse(guid, id) {
+		return withUrl(guid, async (db, scope) => {
+			const result = await run(db, `DELETE FROM responses WHERE id = ?${scope.and}`, [id, ...scope.params])
+			return result.changes > 0
+		})
+	}
+
+	// Reclaim space left by deleted logs, vacuuming whenever the database has free pages
+	function compact(guid) {
+		return withUrl(guid, async db => {
+			const { freelist_count: freePages } = await get(db, `PRAGMA freelist_count`)
+			if (freePages > 0) await run(db, `VACUUM`)
+			return true
+		})
+	}
+
+	async function closeAll() {
+		const open = [...connections.values()].map(entry => entry.ready)
+		connections.clear()
+		if (sharedConnection) open.push(sharedConnection)
+		sharedConnection = null
+		await Promise.all(open.map(ready => ready.then(close, () => {})))
+	}
+
+	return {
+		listGuids,
+		listUrls,
+		getUrlSummary,
+		getUrl,
+		createUrl,
+		renameUrl,
+		deleteUrl,
+		findAlias,
+		setAlias,
+		dumpUrl,
+		restoreUrl,
+		addLog,
+		addLogs,
+		findLogNumbers,
+		listLogs,
+		getLog,
+		deleteLogs,
+		getAttachment,
+		logSizes,
+		listContractResults,
+		getStats,
+		setResponseStatus,
+		addReplay,
+		listReplays,
+		addForwards,
+		listForwards,
+		addNotification,
+		listNotifications,
+		getSettings,
+		setSetting,
+		getStore,
+		updateStore,
+		getRejections,
+		addRejections,
+		listResponses,
+		addResponse,
+		updateResponse,
+		deleteResponse,
+		compact,
+		close: closeAll
+	}
+}
+
+module.exports = { createSqliteStorage }
@@ -0,0 +1,99 @@
+const { STORAGE_TYPES, createStorage } = require('./lib/storage')
+const { loadConfig } = require('./lib/config')
+
+// The in-memory backend doesn't outlive this process, so it can't be migrated to or from
+const PERSISTENT_TYPES = Object.keys(STORAGE_TYPES).filter(type => type !== 'memory')
+
+const USAGE = `Usage: node migrate.js --from <type> --to <type> [options]
+
+Copies every URL, with its logs and attachments, settings, script store, mock responses, replays, forwarding
+attempts and notification history, from one storage backend to another. Log numbers are kept. Types: ${PERSISTENT_TYPES.join(', ')}
+
+The data directory is the server's, as its config file and environment set it.
+
+Options:
+  --guid <guid>   Only migrate this URL (may be repeated)
+  --delete        Delete each URL from the source once it has been copied`
+
+// Parse command line arguments into migration options
+function parseArgs(args) {
+	const options = { guids: [], delete: false }
+
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i]
+		switch (arg) {
+			case '--from':
+			case '--to':
+			case '--guid':
+				if (!args[i + 1]) throw new Error(`${arg} needs a value`)
+				if (arg === '--guid') options.guids.push(args[++i].toLowerCase())
+				else options[arg.slice(2)] = args[++i]
+				break
+			case '--delete':
+				options.delete = true
+				break
+			default:
+				throw new Error(`Unexpected argument: ${arg}`)
+		}
+	}
+
+	for (const key of ['from', 'to']) {
+		if (!PERSISTENT_TYPES.includes(options[key])) throw new Error(`--${key} must be one of: ${PERSISTENT_TYPES.join(', ')}`)
+	}
+	if (options.from === options.to) throw new Error('--from and --to must be different')
+
+	return options
+}
+
+// Main function to copy URLs between storage backends
+async function main() {
+	let options
+	try {
+		options = parseArgs(process.argv.slice(2))
+	} catch (err) {
+		console.error(`${err.message}\n\n${USAGE}`)
+		process.exit(1)
+	}
+
+	let config
+	try {
+		config = loadConfig({ env: process.env, rootDir: __dirname })
+	} catch (err) {
+		console.error(err.message)
+		process.exit(1)
+	}
+
+	const source = createStorage(options.from, config.dataDir)
+	const target = createStorage(options.to, config.dataDir)
+	let failed = 0
+
+	try {
+		const guids = options.guids.length ? options.guids : await source.listGuids()
+
+		for (const guid of guids) {
+			try {
+				const dump = await source.dumpUrl(guid)
+				if (!dump) throw new Error('not found')
+
+				await target.restoreUrl(dump)
+				if (options.delete) await source.deleteUrl(guid)
+				console.log(`Migrated ${guid} (${dump.requests.length} requests)`)
+			} catch (err) {
+				failed++
+				console.error(`Error migrating ${guid}: ${err.message}`)
+			}
+		}
+
+		console.log(`Migrated ${guids.length - failed} of ${guids.length} URLs from ${options.from} to ${options.to}`)
+	} catch (err) {
+		failed++
+		console.error('Error migrating storage:', err.message)
+	} finally {
+		await source.close()
+		await target.close()
+	}
+
+	process.exit(failed ? 1 : 0)
+}
+
+main()
@@ -0,0 +1,50 @@
+// Subscribe to the live feed over a WebSocket, reconnecting with backoff when the connection drops.
+// guids is a list of GUIDs or '*' for every URL; since ({ guid: logNumber }) asks for the logs after
+// those first, and is kept up to date so a reconnect catches up on whatever was missed.
+// onEvent gets each live feed event: log, logs-deleted, url-created, url-renamed, url-aliased,
+// url-deleted or resync.
+function connectLive({ guids, filter = {}, since = {}, onEvent, onReconnect }) {
+	let socket = null
+	let closed = false
+	let retryDelay = 1000
+	let connected = false
+
+	function open() {
+		const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:'
+		socket = new WebSocket(`${protocol}//${location.host}/live`)
+
+		socket.onopen = () => {
+			socket.send(JSON.stringify({ type: 'subscribe', guids, filter, since }))
+		}
+
+		socket.onmessage = message => {
+			const event = JSON.parse(message.data)
+
+			if (event.type === 'subscribed') {
+				retryDelay = 1000
+				if (connected && onReconnect) onReconnect()
+				connected = true
+				return
+			}
+
+			if (event.type === 'error') return console.error(`Live feed: ${event.message}`)
+			if (event.type === 'log') since[event.guid] = Math.max(since[event.guid] || 0, event.log.logNumber)
+			onEvent(event)
+		}
+
+		socket.onclose = () => {
+			if (closed) return
+			setTimeout(open, retryDelay)
+			retryDelay = Math.min(retryDelay * 2, 30000)
+		}
+	}
+
+	open()
+
+	return {
+		close() {
+			closed = true
+			socket.close()
+		}
+	}
+}
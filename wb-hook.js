@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+const fs = require('fs').promises
+const { v4: uuidv4 } = require('uuid')
+const { IMPORT_FORMATS, runImport } = require('./lib/import')
+const { EXPORT_FORMATS } = require('./lib/export')
+const { createStorage } = require('./lib/storage')
+const { DEFAULT_BASE_URL, createClient } = require('./lib/client')
+const { loadConfig } = require('./lib/config')
+
+const USAGE = `Usage: wb-hook <command> [options]
+
+Drives a wb-hook server from the terminal. URLs can be given by GUID or alias.
+
+Commands:
+  urls                            List URLs
+  create [--name <name>] [--alias <alias>]
+                                  Create a URL and print its GUID
+  rename <url> <name>             Rename a URL
+  alias <url> <alias>             Set a URL's alias (--remove to remove it)
+  delete <url>                    Delete a URL and everything captured for it
+  tail <url> [filters]            Print requests as they arrive, like tail -f (--since <logNumber> to start further back)
+  logs <url> [filters]            Dump a URL's logs, oldest first (--format <${Object.keys(EXPORT_FORMATS).join('|')}>, --output <file>)
+  replay <url> <logNumber> <target>
+                                  Re-send a captured request from this machine to a port (e.g. 3000) or URL
+                                  (--remote to have the server send it and record the replay)
+  wait <url> [filters]            Wait for the next matching request and print it as JSON; exits with 1 if none
+                                  arrives within --timeout (30s by default, at most 2m)
+  import <file>                   Import legacy JSON, JSON Lines, HAR or a wb-hook bundle into a new URL
+      --format <${IMPORT_FORMATS.join('|')}>  Input format (detected when omitted)
+      --guid <guid>               Import into this URL
+      --new                       With --local, create a new URL instead of using the GUID found in the file
+      --name <name>               Name for a newly created URL
+      --renumber                  Assign new log numbers instead of keeping the originals
+      --dry-run                   Validate and report without writing anything
+      --local                     Write straight into this checkout's data directory and storage backend, as the
+                                  server's config file and environment set them, instead of going through the server
+
+Filters (tail, logs, wait):
+  --method <method>  --sub-path <prefix>  --header <name>  --header-value <text>  --search <text>
+  --contract <passed|failed>  --from <time>  --to <time>
+
+Options:
+  --server <url>     Server to talk to (WB_HOOK_URL, or ${DEFAULT_BASE_URL})
+  --token <token>    API token, needed once authentication is on (WB_HOOK_TOKEN)
+  --json             Print JSON instead of text (urls, create, tail)`
+
+// Options that take a value, by flag, with the name they are kept under
+const VALUE_OPTIONS = {
+	'--server': 'server',
+	'--token': 'token',
+	'--name': 'name',
+	'--alias': 'alias',
+	'--format': 'format',
+	'--output': 'output',
+	'--guid': 'guid',
+	'--since': 'since',
+	'--timeout': 'timeout',
+	'--method': 'method',
+	'--sub-path': 'subPath',
+	'--header': 'header',
+	'--header-value': 'headerValue',
+	'--search': 'q',
+	'--contract': 'contract',
+	'--from': 'from',
+	'--to': 'to'
+}
+
+// Options that are flags
+const FLAG_OPTIONS = {
+	'--json': 'json',
+	'--remove': 'remove',
+	'--remote': 'remote',
+	'--new': 'newGuid',
+	'--renumber': 'renumber',
+	'--dry-run': 'dryRun',
+	'--local': 'local'
+}
+
+// Options that filter logs
+const FILTERS = ['method', 'subPath', 'header', 'headerValue', 'q', 'contract', 'from', 'to']
+
+// Parse command line arguments into the command, its positional arguments and options
+function parseArgs(args) {
+	const options = {}
+	const positional = []
+
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i]
+		if (VALUE_OPTIONS[arg]) {
+			if (args[i + 1] === undefined) throw new Error(`${arg} needs a value`)
+			options[VALUE_OPTIONS[arg]] = args[++i]
+		} else if (FLAG_OPTIONS[arg]) {
+			options[FLAG_OPTIONS[arg]] = true
+		} else if (arg.startsWith('--')) {
+			throw new Error(`Unknown option: ${arg}`)
+		} else {
+			positional.push(arg)
+		}
+	}
+
+	const [command, ...rest] = positional
+	if (!command) throw new Error('Missing command')
+	if (!COMMANDS[command]) throw new Error(`Unknown command: ${command}`)
+
+	const { args: count, optional = 0 } = COMMANDS[command]
+	if (rest.length < count || rest.length > count + optional) throw new Error(`Wrong number of arguments for ${command}`)
+	return { command, args: rest, options }
+}
+
+// The log filter options given, as the query parameters the server takes
+function filterOptions(options) {
+	const filter = {}
+	FILTERS.forEach(key => {
+		if (options[key] !== undefined) filter[key] = options[key]
+	})
+	return filter
+}
+
+// A captured request on one line, as the log viewer heads it
+function formatLog(log) {
+	const from = log.remoteAddress ? ` from ${log.remoteAddress}` : ''
+	return `[#${log.logNumber}] [${log.timestamp}] ${log.method} ${log.url} (${log.bodySize || 0} bytes${from})`
+}
+
+// Print an import summary in a readable form
+function printSummary(summary) {
+	if (summary.errors.length) {
+		summary.errors.forEach(error => {
+			console.error(error.row ? `Row ${error.row}: ${error.message}` : error.message)
+		})
+		console.error(`Nothing was imported from the ${summary.format} file.`)
+		return
+	}
+
+	// A dry run creates nothing, so it can't say whether the URL would be new
+	const target = summary.dryRun ? 'URL' : summary.created ? 'new URL' : 'existing URL'
+	console.log(`${summary.dryRun ? 'Would import' : 'Imported'} ${summary.imported} of ${summary.total} requests (${summary.format}) into ${target} ${summary.guid}`)
+
+	if (summary.firstLogNumber !== null) {
+		console.log(`Log numbers ${summary.firstLogNumber} to ${summary.lastLogNumber}`)
+	}
+}
+
+// Import a file straight into local storage, as the server would. Resolves with the import summary.
+async function importLocally(text, options) {
+	const config = loadConfig({ env: process.env, rootDir: __dirname })
+	await fs.mkdir(config.dataDir, { recursive: true })
+	const storage = createStorage(config.storage, config.dataDir)
+	try {
+		return await runImport(storage, text, {
+			format: options.format,
+			guid: options.guid,
+			newGuid: options.newGuid,
+			name: options.name,
+			preserveLogNumbers: !options.renumber,
+			dryRun: options.dryRun,
+			generateGuid: () => uuidv4().toLowerCase()
+		})
+	} finally {
+		await storage.close()
+	}
+}
+
+// Each command, with the number of positional arguments it takes (and how many more it may). run resolves with the exit code.
+const COMMANDS = {
+	urls: {
+		args: 0,
+		async run(client, args, options) {
+			const urls = await client.listUrls()
+			if (options.json) return console.log(JSON.stringify(urls, null, 2))
+			if (!urls.length) return console.log('No URLs yet')
+
+			urls.forEach(url => {
+				const alias = url.alias ? ` (${url.alias})` : ''
+				const last = url.lastRequestTime ? `, last at ${url.lastRequestTime}` : ''
+				console.log(`${url.guid}${alias}  ${url.name}  ${url.requestCount} requests${last}`)
+			})
+		}
+	},
+
+	create: {
+		args: 0,
+		async run(client, args, options) {
+			const url = await client.createUrl({ name: options.name, alias: options.alias })
+			if (options.json) return console.log(JSON.stringify(url, null, 2))
+			console.log(url.guid)
+			console.error(`Capturing requests at ${client.captureUrl(url)}`)
+		}
+	},
+
+	rename: {
+		args: 2,
+		async run(client, [ref, name]) {
+			const url = await client.renameUrl(await client.resolveUrl(ref), name)
+			console.log(`Renamed ${url.guid} to ${url.name}`)
+		}
+	},
+
+	alias: {
+		args: 1,
+		optional: 1,
+		async run(client, [ref, alias], options) {
+			if (!options.remove === !alias) throw new Error('Give the alias, or --remove to remove it')
+
+			const url = await client.setAlias(await client.resolveUrl(ref), options.remove ? null : alias)
+			console.log(url.alias ? `${url.guid} is now also ${client.captureUrl(url)}` : `Removed the alias of ${url.guid}`)
+		}
+	},
+
+	delete: {
+		args: 1,
+		async run(client, [ref]) {
+			const guid = await client.resolveUrl(ref)
+			await client.deleteUrl(guid)
+			console.log(`Deleted ${guid}`)
+		}
+	},
+
+	tail: {
+		args: 1,
+		async run(client, [ref], options) {
+			const guid = await client.resolveUrl(ref)
+			const controller = new AbortController()
+			process.on('SIGINT', () => controller.abort())
+
+			await client.tail(guid, {
+				filter: filterOptions(options),
+				since: options.since,
+				signal: controller.signal,
+				onEvent: event => {
+					if (options.json) return console.log(JSON.stringify(event.type === 'log' ? event.log : event))
+					if (event.type === 'log') console.log(formatLog(event.log))
+					else if (event.type === 'logs-deleted') console.error(event.logNumbers ? `(deleted #${event.logNumbers.join(', #')})` : '(all logs deleted)')
+					else if (event.type === 'url-deleted') console.error('(URL deleted)')
+					else if (event.type === 'resync') console.error('(too many changes to follow; run wb-hook logs to catch up)')
+				}
+			})
+		}
+	},
+
+	logs: {
+		args: 1,
+		async run(client, [ref], options) {
+			const format = options.format || 'jsonl'
+			if (!EXPORT_FORMATS[format]) throw new Error(`--format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+
+			const text = await client.exportLogs(await client.resolveUrl(ref), format, filterOptions(options))
+			if (options.output) await fs.writeFile(options.output, text)
+			else process.stdout.write(text)
+		}
+	},
+
+	replay: {
+		args: 3,
+		async run(client, [ref, logNumber, target], options) {
+			const guid = await client.resolveUrl(ref)
+			const targetUrl = /^\d+$/.test(target) ? `http://localhost:${target}` : target
+
+			const result = options.remote
+				? await client.replay(guid, logNumber, targetUrl)
+				: await client.replayLocally(guid, logNumber, targetUrl)
+
+			if (result.error) {
+				console.error(`Replay to ${result.target || result.url} failed: ${result.error}`)
+				return 1
+			}
+			console.log(`${result.status} from ${result.target || result.url} in ${result.latency} ms`)
+			if (result.body) console.log(result.body)
+		}
+	},
+
+	wait: {
+		args: 1,
+		async run(client, [ref], options) {
+			const guid = await client.resolveUrl(ref)
+			const log = await client.waitForRequest(guid, filterOptions(options), { timeout: options.timeout, since: options.since })
+			if (!log) {
+				console.error('No matching request arrived in time')
+				return 1
+			}
+			console.log(JSON.stringify(log, null, 2))
+		}
+	},
+
+	import: {
+		args: 1,
+		async run(client, [file], options) {
+			const text = await fs.readFile(file, 'utf8')
+			const summary = options.local
+				? await importLocally(text, options)
+				: await client.importLogs(text, options.guid ? { ...options, guid: await client.resolveUrl(options.guid) } : options)
+
+			printSummary(summary)
+			return summary.errors.length ? 1 : 0
+		}
+	}
+}
+
+// Main function to run a command
+async function main() {
+	let parsed
+	try {
+		parsed = parseArgs(process.argv.slice(2))
+	} catch (err) {
+		console.error(`${err.message}\n\n${USAGE}`)
+		process.exit(1)
+	}
+
+	const { command, args, options } = parsed
+	const client = createClient({
+		baseUrl: options.server || process.env.WB_HOOK_URL || DEFAULT_BASE_URL,
+		token: options.token || process.env.WB_HOOK_TOKEN || null
+	})
+
+	try {
+		process.exit(await COMMANDS[command].run(client, args, options) || 0)
+	} catch (err) {
+		console.error(`Error: ${err.cause ? err.cause.message || err.cause.code : err.message}`)
+		process.exit(1)
+	}
+}
+
+main()